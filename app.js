@@ -1,427 +1,1122 @@
-/* global XLSX, Tabulator */
-
-const MB51_REQUIRED = [
-  "Plant", "Material", "Material Description", "Storage Location",
-  "Movement Type", "Movement Type Text", "Posting Date", "Time of Entry",
-  "Qty in unit of entry",
-];
-
-const SALES_MVTS = ["251", "601"];
-const RECEIPT_MVTS = ["101"];
-const COUNT_MVTS = ["701", "702"];
-
-let mb51File = null;
+/* global XLSX, Tabulator, APP_VERSION */
+
+const LS_PROFILES = "gapScan.mvtProfiles";
+const LS_ACTIVE_PROFILE = "gapScan.activeMvtProfile";
+const LS_MB51_MAPPINGS = "gapScan.mb51Mappings";
+const LS_RULE_SETS = "gapScan.ruleSets";
+const LS_ACTIVE_RULE_SET = "gapScan.activeRuleSet";
+const LS_RULE_ASSIGNMENTS = "gapScan.ruleAssignments";
+const LS_LIST_COLUMNS = "gapScan.listColumns";
+const LS_WORKFLOW = "gapScan.workflow";
+const LS_WORKFLOW_USER = "gapScan.workflowUser";
+
+let mb51Files = [];
 let mb5bFile = null;
+let priceFile = null;
+let uomFile = null;
+let gapScanFile = null;
+let eanMapFile = null;
+let masterFile = null;
 let resultRows = [];
 let table = null;
+let mb51ByKey = new Map(); // Key -> MB51 rows of the last run (sorted by time), for the ledger
+let transfersByMaterial = new Map(); // plant|material -> paired transfers of the last run
+let replayOnlyByMaterial = new Map(); // plant|material -> MB51-only storage locations of the last run
+let replayAsOf = null;
+let resultTol = 0.5; // mismatch tolerance of the run shown
+let detailKey = null; // Key shown in Details
+let movementTable = null;
+let detailBaseUnit = ""; // unit of the movement table's balance column
+let activeRun = null; // { cancel() } while an analysis is running
+let ruleAssignments = []; // [{ plant, prefix, ruleSet }]
+let workflow = {}; // Key -> saved progress (status, counted qty, note, who and when)
+let waitingWorker = null; // service worker of a newer build, waiting for the user to update
+let updateAccepted = false;
 
 const el = (id) => document.getElementById(id);
 
 function setStatus(msg){ el("status").textContent = msg; }
 
-function normIntish(x){
-  if (x === null || x === undefined) return "";
-  let s = String(x).trim();
-  if (/^\d+\.0$/.test(s)) s = s.split(".")[0];
-  return s.trim();
+/**
+ * A named collection saved in this browser (movement profiles, rule sets): the list
+ * plus which entry is active. Stored entries that fail validation are dropped.
+ */
+function createNamedStore(lsList, lsActive, validate, fallback){
+  return {
+    items: [],
+    active: "",
+    load(){
+      let list = [];
+      try{
+        list = JSON.parse(localStorage.getItem(lsList) || "[]").map(validate);
+      }catch(err){
+        console.warn(`Ignoring stored ${lsList}:`, err);
+        list = [];
+      }
+      if (!list.length) list = [JSON.parse(JSON.stringify(fallback))];
+      this.items = list;
+      const stored = localStorage.getItem(lsActive) || "";
+      this.active = list.some(p => p.name === stored) ? stored : list[0].name;
+    },
+    save(){
+      localStorage.setItem(lsList, JSON.stringify(this.items));
+      localStorage.setItem(lsActive, this.active);
+    },
+    current(){
+      return this.items.find(p => p.name === this.active) || this.items[0] || fallback;
+    },
+    uniqueName(base){
+      let name = base;
+      for (let i=2; this.items.some(p => p.name === name); i++) name = `${base} (${i})`;
+      return name;
+    },
+  };
 }
 
-function zfill(s, n){
-  s = String(s);
-  return s.length >= n ? s : "0".repeat(n - s.length) + s;
+const profileStore = createNamedStore(LS_PROFILES, LS_ACTIVE_PROFILE, validateProfile, DEFAULT_MVT_PROFILE);
+
+function activeProfile(){
+  return profileStore.current();
 }
 
-function normMaterial(x, padTo=0){
-  const s = normIntish(x);
-  if (padTo && /^\d+$/.test(s)) return zfill(s, padTo);
-  return s;
+const ruleStore = createNamedStore(LS_RULE_SETS, LS_ACTIVE_RULE_SET, validateRuleSet, DEFAULT_RULE_SET);
+
+/** Count cycles listed in the Details text, newest first */
+const COUNT_HISTORY_CYCLES = 10;
+
+function buildDetailsText(r, profile, opts={}){
+  const lines = [];
+  const mvtList = (...classes) => mvtsOfClass(profile, ...classes).join("/") || "none in profile";
+  const lastQty = (q) => (q === null || q === undefined) ? "" : formatQty(q, r.Base_Unit);
+  lines.push(`KEY: ${r.Key}`);
+  lines.push(`Material: ${r.Material}  |  SLoc: ${r["Storage Location"]}  |  Plant: ${r.Plant}`);
+  lines.push(`Description: ${r["Material Description"] || ""}`);
+  if (MASTER_FIELDS.some(f => r[f])){
+    lines.push(`Department: ${r.Department || "-"}  |  Category: ${r.Merch_Category || "-"}  |  Vendor: ${r.Vendor || "-"}`);
+    lines.push(`Aisle/fixture: ${r.Aisle_Location || "-"}  |  EAN: ${r.EAN || "-"}`);
+  }
+  lines.push("");
+  lines.push("WHAT SAP SAYS NOW:");
+  lines.push(`  SAP SOH (from MB5B): ${r.SAP_SOH_MB5B === null ? "unknown (see MB5B check)" : formatQty(r.SAP_SOH_MB5B, r.Base_Unit)}`);
+  if (r.MB5B_Note) lines.push(`  MB5B check ${r.MB5B_Check}: ${r.MB5B_Note}`);
+  lines.push("");
+  lines.push("WHAT MOVEMENT HISTORY IMPLIES:");
+  lines.push(`  Expected SOH (from MB51 replay): ${formatQty(r.Expected_SOH_MB51, r.Base_Unit)}`);
+  lines.push(`  Replayed up to: ${r.Replay_AsOf ? formatDate(r.Replay_AsOf) : "all movements"}`);
+  lines.push(`  Difference (SAP - Expected): ${formatQty(r.Delta_SAP_minus_Expected, r.Base_Unit)}`);
+  if (r.Unit_Note) lines.push(`  ⚠ Units: ${r.Unit_Note}`);
+  lines.push("");
+  lines.push("SHOULD IT BE THERE (WITHOUT COUNTING)?");
+  lines.push(`  Expectation: ${r.Expectation}`);
+  lines.push(`  Rule set: ${r.Rule_Set || ""}`);
+  lines.push(`  Why: ${r.Summary || ""}`);
+  lines.push("");
+  lines.push("RECENT CHECKPOINTS (helpful for gap-scan judgement):");
+  lines.push(`  Last count adjustment (${mvtList("count_gain","count_loss")}): ${formatDate(r.LastCount_DT)}  | Qty: ${lastQty(r.LastCount_Qty)}`);
+  lines.push(`  Last sale movement (${mvtList("sale")}): ${formatDate(r.LastSale_DT)}  | Qty: ${lastQty(r.LastSale_Qty)}`);
+  lines.push(`  Last receipt (${mvtList("receipt")}): ${formatDate(r.LastReceipt_DT)}  | Qty: ${lastQty(r.LastReceipt_Qty)}`);
+  lines.push(`  Count loss total (${mvtList("count_loss")}): ${formatQty(r.Loss702_Sum, r.Base_Unit)}`);
+  if (r.Last_Transfer_In_DT || r.Last_Transfer_Out_DT){
+    const moved = (dt, qty, where) => dt ? `${formatDate(dt)}  | Qty: ${lastQty(qty)}  | ${where || "other side not in MB51"}` : "none";
+    lines.push(`  Last transfer in (${mvtList("transfer")}): ${moved(r.Last_Transfer_In_DT, r.Last_Transfer_In_Qty, r.Last_Transfer_In_From && `from ${r.Last_Transfer_In_From}`)}`);
+    lines.push(`  Last transfer out (${mvtList("transfer")}): ${moved(r.Last_Transfer_Out_DT, r.Last_Transfer_Out_Qty, r.Last_Transfer_Out_To && `to ${r.Last_Transfer_Out_To}`)}`);
+  }
+  const rate = (v) => Number.isFinite(v) ? `${v.toFixed(2)}/day` : "n/a";
+  lines.push(`  Sales velocity: ${rate(r.Sales_Per_Day_30d)} over 30 days, ${rate(r.Sales_Per_Day_90d)} over 90 days`);
+  if (Number.isFinite(r.Typical_Sale_Gap_Days)){
+    lines.push(`  Usually sells every ${r.Typical_Sale_Gap_Days} day(s); last sale ${r.Days_Since_LastSale.toFixed(0)} days ago (${r.Sale_Gap_Score.toFixed(1)}× the usual gap)`);
+  }
+  if (Number.isFinite(r.Days_Of_Cover)) lines.push(`  SAP stock covers about ${r.Days_Of_Cover.toFixed(0)} days of sales`);
+  if (r.Phantom_Suspect){
+    lines.push("  ⚠ Probable phantom inventory: a regular seller has gone silent while SAP still shows stock.");
+    lines.push("    Check the shelf and backroom; if it is not there, count it rather than wait for sales to resume.");
+  }
+  lines.push(`  Movement profile: ${profile?.name || ""}`);
+  lines.push("");
+  lines.push(`COUNT HISTORY (${mvtList("count_gain","count_loss")} grouped by posting day and document, up to the as-of date):`);
+  const cycles = countCyclesOf(movementsUpTo(mb51ByKey.get(r.Key) || [], replayAsOf), profile);
+  if (!cycles.length) lines.push("  No count adjustments in MB51.");
+  for (const c of cycles.slice(-COUNT_HISTORY_CYCLES).reverse()){
+    const parts = [`${formatDate(c.dt).slice(0,10)}  net ${formatQty(c.net, r.Base_Unit)}`];
+    if (c.gain && c.loss) parts.push(`(+${formatQty(c.gain)} / ${formatQty(c.loss)})`);
+    parts.push(`${c.postings} posting(s)`);
+    if (c.recountedOn) parts.push(`→ recounted ${formatDate(c.recountedOn).slice(0,10)}, ${formatQty(c.recountQty)} found again`);
+    if (c.recountOf) parts.push(`← recount of the loss on ${formatDate(c.recountOf).slice(0,10)}`);
+    lines.push(`  ${parts.join("  ")}`);
+  }
+  if (cycles.length > COUNT_HISTORY_CYCLES) lines.push(`  … ${cycles.length - COUNT_HISTORY_CYCLES} older cycle(s) in the ledger below.`);
+  if (cycles.length){
+    lines.push(`  Loss cycles after recounts: ${r.Loss_Cycles_90d} in 90 days, ${r.Loss_Cycles_Window} in ${r.Shrink_Window_Days} days; avg ${formatQty(r.Avg_Loss_Per_Cycle, r.Base_Unit)} per cycle`);
+  }
+  if (r.Loss_Cycles_Window >= 2){
+    lines.push("  ⚠ Repeat shrink: losses keep coming back after counts. Look for a cause (theft, receiving, unit errors) before the next count.");
+  }
+  if (r.Gap_Scan){
+    lines.push(`  Gap scan: ${r.Gap_Scan_Code} at ${r.Gap_Scan_Time ? formatDate(r.Gap_Scan_Time) : "unknown time"}`);
+    if (r.Post_Scan_Activity){
+      lines.push(`  ⚠ Since the scan: ${r.Post_Scan_Activity}.`);
+      lines.push("    A sale after the scan means stock was found after all; a receipt may have refilled the shelf. Re-check before acting.");
+    }
+  }
+  lines.push("");
+  lines.push("HOW TO USE THIS IN YOUR PROCESS:");
+  lines.push("  - If shelf is empty AND Expectation is HIGH → likely exists somewhere (backroom check first).");
+  if (r.Likely_Location) lines.push(`    Start with storage location ${r.Likely_Location}: ${r.Likely_Location_Note}.`);
+  lines.push("  - If shelf is empty AND Expectation is LOW → SAP may be overstated; consider COUNT before write-off.");
+  if (r.Value_At_Risk === null || r.Value_At_Risk === undefined){
+    lines.push("  - If SAP SOH is small (1–2) → low exposure; policy/value can drive whether you count or write off.");
+    lines.push("    (Load a price file for value-based count vs write-off guidance.)");
+  } else {
+    const min = Number(opts.countValueMin) || 0;
+    lines.push(`  - Value at risk ≈ ${formatMoney(r.Value_At_Risk)} (SAP stock value ${formatMoney(r.SAP_Value)} at ${formatMoney(r.Unit_Price)}/unit; delta value ${formatMoney(r.Delta_Value)}).`);
+    if (r.Value_At_Risk >= min){
+      lines.push(`    → At or above the count threshold of ${formatMoney(min)}: COUNT before any write-off.`);
+    } else {
+      lines.push(`    → Below the count threshold of ${formatMoney(min)}: low exposure; correcting without a count is defensible.`);
+    }
+  }
+  return lines.join("\n");
 }
 
-function normSloc(x, padTo=4){
-  const s = normIntish(x);
-  if (padTo && /^\d+$/.test(s)) return zfill(s, padTo);
-  return s;
+/** Quantity with its unit, e.g. "12.00 EA" */
+function formatQty(v, unit){
+  if (v === null) return ""; // unknown, e.g. SAP stock of an MB5B block that could not be split
+  const q = Number(v || 0).toFixed(2);
+  return unit ? `${q} ${unit}` : q;
 }
 
-function makeKey(plant, material, sloc){
-  return `${plant}|${material}|${sloc}`;
+function formatMoney(v){
+  if (v === null || v === undefined || !Number.isFinite(Number(v))) return "";
+  return Number(v).toFixed(2);
 }
 
-function safeNumber(x){
-  const n = Number(String(x).replace(/,/g,"").trim());
-  return Number.isFinite(n) ? n : 0.0;
+const LEDGER_MARKS = {
+  count_gain: { color:"#f59e0b", label:"Count" },
+  count_loss: { color:"#f59e0b", label:"Count" },
+  receipt: { color:"#22c55e", label:"Receipt" },
+  sale: { color:"#38bdf8", label:"Sale" },
+};
+
+/** Step chart of the running balance, with the SAP figure and the as-of cut-off */
+function renderLedgerChart(ledger, sap, asOf){
+  const pts = ledger.filter(e => e.dt);
+  if (!pts.length) return "";
+  const W = 900, H = 220, L = 50, R = 12, T = 12, B = 28;
+  const t0 = pts[0].dt.getTime();
+  const t1 = Math.max(pts[pts.length-1].dt.getTime(), asOf ? asOf.getTime() : 0, t0 + 86400000);
+  const vals = pts.map(e => e.balance).concat(sap === null ? [0] : [0, sap]);
+  const vMin = Math.min(...vals), vMax = Math.max(...vals);
+  const span = (vMax - vMin) || 1;
+  const x = (t) => L + (t - t0) / (t1 - t0) * (W - L - R);
+  const y = (v) => T + (vMax - v) / span * (H - T - B);
+
+  let path = `M${x(t0).toFixed(1)},${y(0).toFixed(1)}`;
+  for (const e of pts){
+    const px = x(e.dt.getTime()).toFixed(1);
+    path += ` H${px} V${y(e.balance).toFixed(1)}`;
+  }
+  path += ` H${x(t1).toFixed(1)}`;
+
+  const parts = [];
+  parts.push(`<line x1="${L}" y1="${y(0)}" x2="${W-R}" y2="${y(0)}" class="axis" />`);
+  if (sap !== null){
+    parts.push(`<line x1="${L}" y1="${y(sap)}" x2="${W-R}" y2="${y(sap)}" class="sap-line" />`);
+    parts.push(`<text x="${W-R}" y="${y(sap)-4}" text-anchor="end" class="lbl">SAP ${sap.toFixed(2)}</text>`);
+  }
+  if (asOf){
+    const ax = x(asOf.getTime());
+    parts.push(`<line x1="${ax}" y1="${T}" x2="${ax}" y2="${H-B}" class="asof-line" />`);
+    parts.push(`<text x="${ax+4}" y="${T+10}" class="lbl">as of</text>`);
+  }
+  parts.push(`<path d="${path}" class="balance" />`);
+  for (const e of pts){
+    const mk = LEDGER_MARKS[e.cls];
+    if (!mk || e.reversed) continue;
+    parts.push(`<circle cx="${x(e.dt.getTime()).toFixed(1)}" cy="${y(e.balance).toFixed(1)}" r="3.5" fill="${mk.color}"><title>${mk.label} ${e.mvt} ${e.qty} on ${formatDate(e.dt)}</title></circle>`);
+  }
+  parts.push(`<text x="${L-6}" y="${y(vMax)+4}" text-anchor="end" class="lbl">${vMax.toFixed(0)}</text>`);
+  parts.push(`<text x="${L-6}" y="${y(vMin)+4}" text-anchor="end" class="lbl">${vMin.toFixed(0)}</text>`);
+  parts.push(`<text x="${L}" y="${H-8}" class="lbl">${formatDate(new Date(t0)).slice(0,10)}</text>`);
+  parts.push(`<text x="${W-R}" y="${H-8}" text-anchor="end" class="lbl">${formatDate(new Date(t1)).slice(0,10)}</text>`);
+  return `<svg viewBox="0 0 ${W} ${H}" class="ledger-chart" role="img" aria-label="Balance over time">${parts.join("")}</svg>`;
 }
 
-/** Excel date (serial) -> JS Date */
-function excelSerialToDate(n){
-  // Excel 1900 date system; SheetJS commonly uses this conversion
-  const utcDays = Math.floor(n - 25569);
-  const utcValue = utcDays * 86400; // seconds
-  const dateInfo = new Date(utcValue * 1000);
-  const fractional = n - Math.floor(n);
-  const seconds = Math.round(fractional * 86400);
-  return new Date(dateInfo.getTime() + seconds * 1000);
-}
-
-function parseDateCell(v){
-  if (v === null || v === undefined || v === "") return null;
-  if (v instanceof Date && !isNaN(v)) return v;
-  if (typeof v === "number") {
-    const d = excelSerialToDate(v);
-    return isNaN(d) ? null : d;
-  }
-  const s = String(v).trim();
-  // Try Date(...) parsing
-  const d = new Date(s);
-  if (!isNaN(d)) return d;
-  return null;
-}
-
-function parseTimeToMs(v){
-  if (v === null || v === undefined || v === "") return 0;
-  // Excel time might be fraction of day (0..1)
-  if (typeof v === "number") {
-    return Math.round(v * 86400 * 1000);
-  }
-  const s = String(v).trim();
-  // Accept HH:MM:SS or HH:MM
-  const m = s.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
-  if (m){
-    const hh = Number(m[1] || 0);
-    const mm = Number(m[2] || 0);
-    const ss = Number(m[3] || 0);
-    return ((hh*3600 + mm*60 + ss) * 1000);
-  }
-  // Fallback: try Date parse for times
-  const d = new Date(`1970-01-01T${s}Z`);
-  if (!isNaN(d)) return d.getUTCHours()*3600000 + d.getUTCMinutes()*60000 + d.getUTCSeconds()*1000;
-  return 0;
-}
-
-function daysSince(dt){
-  if (!dt) return NaN;
-  const ms = Date.now() - dt.getTime();
-  return ms / 86400000.0;
-}
-
-/** Read file (xlsx/xls/csv) to rows of objects (for tabular sheets) */
-async function readWorkbookAsObjects(file){
-  const buf = await file.arrayBuffer();
-  const wb = XLSX.read(buf, { type:"array", cellDates:true });
-  const ws = wb.Sheets[wb.SheetNames[0]];
-  // Convert to JSON objects with header row
-  return XLSX.utils.sheet_to_json(ws, { defval:"" });
-}
-
-/** Read file to rows as arrays (for MB5B block parsing) */
-async function readWorkbookAsArrays(file){
-  const buf = await file.arrayBuffer();
-  const wb = XLSX.read(buf, { type:"array", cellDates:true });
-  const ws = wb.Sheets[wb.SheetNames[0]];
-  return XLSX.utils.sheet_to_json(ws, { header:1, defval:"" }); // array of arrays
-}
-
-/** MB51 cleaning */
-function cleanMb51(rows, matPad, slocPad){
-  // Validate headers
-  const cols = new Set(Object.keys(rows[0] || {}).map(c => String(c).trim()));
-  const missing = MB51_REQUIRED.filter(c => !cols.has(c));
-  if (missing.length) throw new Error(`MB51 missing columns: ${missing.join(", ")}`);
-
-  const out = rows.map(r => {
-    const plant = normIntish(r["Plant"]);
-    const material = normMaterial(r["Material"], matPad);
-    const sloc = normSloc(r["Storage Location"], slocPad);
-
-    const postDate = parseDateCell(r["Posting Date"]);
-    const timeMs = parseTimeToMs(r["Time of Entry"]);
-    const postDT = postDate ? new Date(postDate.getTime() + timeMs) : null;
-
-    const mvt = String(r["Movement Type"]).trim();
-    const mvtTxt = String(r["Movement Type Text"]).trim();
-    const qty = safeNumber(r["Qty in unit of entry"]);
-
-    const key = makeKey(plant, material, sloc);
-
-    return {
-      Plant: plant,
-      Material: material,
-      "Material Description": String(r["Material Description"] ?? "").trim(),
-      "Storage Location": sloc,
-      "Movement Type": mvt,
-      "Movement Type Text": mvtTxt,
-      "Posting Date": postDate,
-      "Time of Entry": r["Time of Entry"],
-      "Post DateTime": postDT,
-      Qty: qty,
-      Key: key,
-    };
-  });
+function escapeHtml(s){
+  return String(s ?? "").replace(/[&<>"]/g, c => ({ "&":"&amp;", "<":"&lt;", ">":"&gt;", '"':"&quot;" }[c]));
+}
+
+/** Balance chart plus the filterable movement table for one key */
+function renderLedger(r){
+  const box = el("ledger");
+  const ledger = r ? buildLedger(mb51ByKey.get(r.Key) || [], activeProfile(), replayAsOf) : [];
+  setMovementRows(ledger, r);
+  if (!r){ box.innerHTML = ""; return; }
+  if (!ledger.length){
+    box.innerHTML = `<div class="tip">No MB51 movements for this key.</div>`;
+    return;
+  }
+  const legend = `<div class="tip">Running balance of MB51 movements. Dots: <span style="color:#f59e0b">count</span>, `
+    + `<span style="color:#22c55e">receipt</span>, <span style="color:#38bdf8">sale</span>. Dashed line = SAP (MB5B).</div>`;
+  box.innerHTML = legend + renderLedgerChart(ledger, r.SAP_SOH_MB5B === null ? null : Number(r.SAP_SOH_MB5B || 0), replayAsOf);
+}
 
-  out.sort((a,b) => {
-    if (a.Key < b.Key) return -1;
-    if (a.Key > b.Key) return 1;
-    const at = a["Post DateTime"] ? a["Post DateTime"].getTime() : 0;
-    const bt = b["Post DateTime"] ? b["Post DateTime"].getTime() : 0;
-    return at - bt;
+function initMovementTable(){
+  movementTable = new Tabulator("#movementTable", {
+    maxHeight: "420px",
+    layout: "fitColumns",
+    placeholder: "No MB51 movements for this key.",
+    data: [],
+    rowFormatter: function(row){
+      const e = row.getData();
+      row.getElement().classList.toggle("mvt-reversed", e.reversed);
+      row.getElement().classList.toggle("mvt-after-asof", e.afterAsOf);
+    },
+    columns: [
+      { title:"Posted", field:"dt", width:170, formatter:(c)=>formatDate(c.getValue()),
+        sorter:(a, b) => (a ? a.getTime() : 0) - (b ? b.getTime() : 0) },
+      { title:"MvT", field:"mvt", width:80 },
+      { title:"Text", field:"txt", widthGrow:2 },
+      { title:"Class", field:"cls", width:120 },
+      { title:"Qty", field:"qty", hozAlign:"right", width:120, formatter:(c)=>formatQty(c.getValue(), c.getRow().getData().unit) },
+      { title:"Balance", field:"balance", hozAlign:"right", width:130, formatter:(c)=>formatQty(c.getValue(), detailBaseUnit) },
+    ],
+  });
+  movementTable.on("dataFiltered", (filters, rows) => {
+    const total = movementTable.getDataCount();
+    el("mvtCount").textContent = total ? `${rows.length} of ${total} movements (balance runs over all of them)` : "";
   });
+}
 
-  return out;
+function setMovementRows(ledger, r){
+  detailBaseUnit = r ? (r.Base_Unit || "") : "";
+  const sel = el("mvtFilter");
+  const keep = sel.value;
+  const mvts = [...new Set(ledger.map(e => e.mvt))].sort();
+  sel.innerHTML = `<option value="">All</option>` + mvts.map(m => {
+    const txt = ledger.find(e => e.mvt === m).txt;
+    return `<option value="${escapeHtml(m)}">${escapeHtml(m)}${txt ? ` – ${escapeHtml(txt)}` : ""}</option>`;
+  }).join("");
+  sel.value = mvts.includes(keep) ? keep : "";
+  movementTable.setData(ledger).then(applyMovementFilter);
 }
 
-/** MB5B parsing (block/detail export) */
-function parseQtyLine(prefix, s){
-  s = (s === null || s === undefined) ? "" : String(s);
-  if (!s.trim().startsWith(prefix)) return null;
+/** Movement type and posting date range (inclusive days) of the movement table */
+function applyMovementFilter(){
+  const mvt = el("mvtFilter").value;
+  const from = el("mvtFrom").value ? Date.parse(el("mvtFrom").value) : -Infinity;
+  const to = el("mvtTo").value ? Date.parse(el("mvtTo").value) + 86400000 : Infinity;
+  const dated = from !== -Infinity || to !== Infinity;
+  movementTable.setFilter((e) => {
+    if (mvt && e.mvt !== mvt) return false;
+    if (!e.dt) return !dated;
+    return e.dt.getTime() >= from && e.dt.getTime() < to;
+  });
+}
 
-  // Parse only after prefix (avoid parsing date inside prefix)
-  const tail = s.trim().slice(prefix.length).trim();
-  const m = tail.match(/([0-9]+(?:\.[0-9]+)?)\s*(-)?\s*(EA|PC|ST|KG|L|)\b/i);
-  if (!m) return null;
-  let num = Number(m[1]);
-  if (m[2] === "-") num = -num;
-  return Number.isFinite(num) ? num : null;
+/** SAP vs replay figures of one row as cards */
+function renderDetailCards(r){
+  if (!r){ el("detailCards").innerHTML = ""; return; }
+  const unit = r.Base_Unit;
+  const card = (label, value, sub="", cls="") =>
+    `<div class="card ${cls}"><div class="label">${escapeHtml(label)}</div><div class="value">${escapeHtml(value)}</div>`
+    + (sub ? `<div class="sub">${escapeHtml(sub)}</div>` : "") + `</div>`;
+  const when = (dt, qty) => dt ? `${formatDate(dt).slice(0,10)} (${formatQty(qty, unit)})` : "none in MB51";
+  const cards = [
+    card("SAP (MB5B)", formatQty(r.SAP_SOH_MB5B, unit), r.SAP_SOH_Date ? `stock on ${formatDate(r.SAP_SOH_Date).slice(0,10)}` : ""),
+    card("Replay (MB51)", formatQty(r.Expected_SOH_MB51, unit), replayAsOf ? `as of ${formatDate(replayAsOf).slice(0,10)}` : "all movements"),
+    card("SAP − replay", formatQty(r.Delta_SAP_minus_Expected, unit), r.MB5B_Check || ""),
+    card("Expectation", r.Expectation || "N/A", r.Rule_Set ? `rule set ${r.Rule_Set}` : "", String(r.Expectation || "").toLowerCase()),
+  ];
+  if (Number.isFinite(r.Value_At_Risk)) cards.push(card("Value at risk", formatMoney(r.Value_At_Risk), `unit price ${formatMoney(r.Unit_Price)}`));
+  cards.push(card("Last count", when(r.LastCount_DT, r.LastCount_Qty)));
+  cards.push(card("Last sale", when(r.LastSale_DT, r.LastSale_Qty)));
+  if (r.Count_Cycles){
+    const sub = `${r.Loss_Cycles_Window} with a loss in ${r.Shrink_Window_Days} days` + (r.Recounted_Losses ? `, ${r.Recounted_Losses} recounted` : "");
+    cards.push(card("Count cycles", String(r.Count_Cycles), sub, r.Loss_Cycles_Window >= 2 ? "low" : ""));
+  }
+  if (Number.isFinite(r.Sales_Per_Day_30d) || Number.isFinite(r.Sales_Per_Day_90d)){
+    const rate = Number.isFinite(r.Sales_Per_Day_30d) ? r.Sales_Per_Day_30d : r.Sales_Per_Day_90d;
+    const cover = Number.isFinite(r.Days_Of_Cover) ? `${r.Days_Of_Cover.toFixed(0)} days of cover` : "no recent sales";
+    cards.push(card("Sales per day", rate.toFixed(2), r.Phantom_Suspect ? "⚠ silent: probable phantom stock" : cover, r.Phantom_Suspect ? "low" : ""));
+  }
+  cards.push(card("Last receipt", when(r.LastReceipt_DT, r.LastReceipt_Qty)));
+  if (r.Likely_Location) cards.push(card("Likely location", r.Likely_Location, r.Likely_Location_Note));
+  if (r.Aisle_Location || r.Department){
+    cards.push(card("Aisle", r.Aisle_Location || "not in master", [r.Department, r.Merch_Category, r.Vendor].filter(Boolean).join(" · ")));
+  }
+  if (r.Status && r.Status !== "Open"){
+    const by = [r.Status_By, r.Status_DT ? formatDate(r.Status_DT).slice(0,10) : ""].filter(Boolean).join(", ");
+    const counted = r.Counted_Qty !== null && r.Counted_Qty !== undefined ? `counted ${formatQty(r.Counted_Qty, unit)}` : "";
+    cards.push(card("Status", r.Status, [counted, r.Note, by].filter(Boolean).join(" · ")));
+  }
+  if (r.Gap_Scan) cards.push(card("Gap scan", formatDate(r.Gap_Scan_Time), r.Post_Scan_Activity ? "activity since the scan" : r.Gap_Scan_Code));
+  el("detailCards").innerHTML = cards.join("");
 }
 
-function parseMb5bBlocks(rows2d, matPad, slocPad){
-  const col0 = rows2d.map(r => String((r && r[0] !== undefined) ? r[0] : "").trim());
-  const plantRows = [];
-  for (let i=0; i<col0.length; i++){
-    if (col0[i].startsWith("Plant")) plantRows.push(i);
+/** Transfers listed under the plant view */
+const PLANT_VIEW_TRANSFERS = 10;
+
+/**
+ * Every storage location of the row's material in its plant (MB5B rows, plus locations only
+ * MB51 knows, which have no SAP stock), and its latest transfers
+ */
+function renderPlantView(r){
+  const box = el("plantView");
+  if (!r){ el("plantViewTitle").textContent = ""; box.innerHTML = ""; return; }
+  const mat = `${r.Plant}|${r.Material}`;
+  const replayOnly = (replayOnlyByMaterial.get(mat) || []).map(x => ({
+    ...x, Plant: r.Plant, Material: r.Material, Base_Unit: r.Base_Unit,
+    SAP_SOH_MB5B: null, Delta_SAP_minus_Expected: null, Expectation: "not in MB5B",
+  }));
+  const locs = resultRows.filter(x => x.Plant === r.Plant && x.Material === r.Material).concat(replayOnly)
+    .sort((a, b) => String(a["Storage Location"]).localeCompare(String(b["Storage Location"])));
+  const transfers = (transfersByMaterial.get(mat) || []).slice(-PLANT_VIEW_TRANSFERS).reverse();
+  el("plantViewTitle").textContent = `Storage locations of ${r.Material} in plant ${r.Plant}`;
+  if (locs.length < 2 && !transfers.length){
+    box.innerHTML = `<div class="tip">No other storage location of this material in MB5B or MB51 and no transfers in MB51.</div>`;
+    return;
   }
-  if (!plantRows.length) throw new Error("MB5B format not recognized (no 'Plant' blocks found). Export MB5B in detail/block format.");
 
-  const blocks = [];
+  const day = (dt) => dt ? formatDate(dt).slice(0,10) : "";
+  const move = (dt, qty, where) => dt ? `${day(dt)} · ${formatQty(qty, r.Base_Unit)}${where ? ` · ${escapeHtml(where)}` : ""}` : "";
+  const body = locs.map(x => {
+    const cls = [x.Key === r.Key ? "current" : "", x["Storage Location"] === r.Likely_Location ? "flagged" : ""].join(" ").trim();
+    return `<tr class="${cls}" data-key="${escapeHtml(x.Key)}"><td>${escapeHtml(x["Storage Location"])}</td>`
+      + `<td class="num">${formatQty(x.SAP_SOH_MB5B, x.Base_Unit)}</td><td class="num">${formatQty(x.Expected_SOH_MB51, x.Base_Unit)}</td>`
+      + `<td class="num">${formatQty(x.Delta_SAP_minus_Expected, x.Base_Unit)}</td><td>${escapeHtml(x.Expectation)}</td>`
+      + `<td>${day(x.LastSale_DT)}</td><td>${move(x.Last_Transfer_In_DT, x.Last_Transfer_In_Qty, x.Last_Transfer_In_From && `from ${x.Last_Transfer_In_From}`)}</td>`
+      + `<td>${move(x.Last_Transfer_Out_DT, x.Last_Transfer_Out_Qty, x.Last_Transfer_Out_To && `to ${x.Last_Transfer_Out_To}`)}</td></tr>`;
+  }).join("");
+  const moves = transfers.map(t => `<tr><td>${escapeHtml(formatDate(t.dt))}</td><td>${escapeHtml(t.mvt)}</td>`
+    + `<td>${escapeHtml(t.from || "?")}</td><td>${escapeHtml(t.to || "? (in transfer)")}</td>`
+    + `<td class="num">${formatQty(t.qty, t.unit)}</td><td>${t.inDt && t.inDt.getTime() !== t.dt?.getTime() ? escapeHtml(formatDate(t.inDt)) : ""}</td></tr>`).join("");
+
+  box.innerHTML = `<table class="ledger-table plant-view"><thead><tr><th>SLoc</th><th class="num">SAP (MB5B)</th><th class="num">Replay (MB51)</th>`
+    + `<th class="num">Delta</th><th>Expectation</th><th>Last sale</th><th>Last transfer in</th><th>Last transfer out</th></tr></thead>`
+    + `<tbody>${body}</tbody></table>`
+    + (moves ? `<table class="ledger-table"><thead><tr><th>Transferred</th><th>MvT</th><th>From</th><th>To</th><th class="num">Qty</th>`
+      + `<th>Received</th></tr></thead><tbody>${moves}</tbody></table>` : "");
+}
 
-  for (let bi=0; bi<plantRows.length; bi++){
-    const start = plantRows[bi];
-    const end = (bi+1 < plantRows.length) ? plantRows[bi+1] : rows2d.length;
-    const block = rows2d.slice(start, end);
+/** Decision list rows in the order shown (filters and column sorts applied) */
+function detailOrder(){
+  return table ? table.getData("active") : [];
+}
 
-    const lines0 = block
-      .map(r => r && r[0] !== undefined ? String(r[0]) : "")
-      .filter(x => String(x).trim().length)
-      .map(x => String(x));
+function itemLabel(r){
+  return `${r.Material} · ${r["Material Description"] || "(no description)"} · ${r.Plant}/${r["Storage Location"]}`;
+}
 
-    if (!lines0.length) continue;
+function updateItemNav(){
+  const order = detailOrder();
+  const i = order.findIndex(r => r.Key === detailKey);
+  el("itemPos").textContent = i >= 0 ? `${i + 1} / ${order.length}` : (order.length ? `${order.length} items` : "");
+  el("prevItemBtn").disabled = i <= 0;
+  el("nextItemBtn").disabled = i < 0 || i >= order.length - 1;
+  el("itemSearch").placeholder = order.length ? "Search material, description or key…" : "Run analysis first";
+}
 
-    const plantLine = lines0[0];
-    const pm = plantLine.match(/Plant\s+(\d+)/);
-    const plant = pm ? pm[1] : "";
+function stepItem(dir){
+  const order = detailOrder();
+  const i = order.findIndex(r => r.Key === detailKey);
+  const next = order[i + dir];
+  if (next) showDetails(next);
+}
 
-    let material = "";
-    let desc = "";
-    let closeQty = null;
+function showDetails(r){
+  detailKey = r ? r.Key : null;
+  el("itemSearch").value = r ? itemLabel(r) : "";
+  updateItemNav();
+  renderDetailCards(r);
+  renderPlantView(r);
+  el("detailText").textContent = r ? buildDetailsText(r, activeProfile(), { countValueMin: el("countValueMin").value }) : "";
+  renderLedger(r);
+}
 
-    for (let i=0; i<Math.min(lines0.length, 140); i++){
-      const line = lines0[i];
+/** Matches shown under the item search; the rest need a narrower query */
+const ITEM_SEARCH_LIMIT = 50;
 
-      if (!material && line.includes("Material")){
-        const mm = line.match(/Material\s+(\d+)/);
-        if (mm) material = mm[1];
-      }
-      if (!desc && line.trim().startsWith("Description")){
-        const dm = line.match(/Description\s+(.*)$/);
-        if (dm) desc = (dm[1] || "").trim();
-      }
-      if (closeQty === null){
-        const q = parseQtyLine("Stock on 31.12.9999", line);
-        if (q !== null) closeQty = q;
-      }
+function searchItems(query){
+  const q = query.trim().toLowerCase();
+  const order = detailOrder();
+  if (!q) return order.slice(0, ITEM_SEARCH_LIMIT);
+  const out = [];
+  for (const r of order){
+    if (String(r.Material).toLowerCase().includes(q) || r.Key.toLowerCase().includes(q)
+      || String(r["Material Description"] || "").toLowerCase().includes(q) || (r.EAN && String(r.EAN).includes(q))){
+      out.push(r);
+      if (out.length >= ITEM_SEARCH_LIMIT) break;
     }
+  }
+  return out;
+}
 
-    // infer SLoc from detail table if possible: find row where col1="Loca" col2="MvT"
-    const slocs = new Set();
-    for (let r=0; r<block.length; r++){
-      const c1 = block[r]?.[1] ?? "";
-      const c2 = block[r]?.[2] ?? "";
-      if (String(c1).trim() === "Loca" && String(c2).trim() === "MvT"){
-        for (let rr=r+2; rr<block.length; rr++){
-          const v0 = block[rr]?.[0] ?? "";
-          if (typeof v0 === "string" && String(v0).trim().startsWith("Plant")) break;
-          const loca = block[rr]?.[1];
-          if (loca !== null && loca !== undefined && String(loca).trim() !== ""){
-            slocs.add(normSloc(loca, slocPad));
-          }
-        }
-        break;
-      }
+function initItemPicker(){
+  const input = el("itemSearch");
+  const list = el("itemResults");
+  let hits = [];
+  let active = -1;
+
+  const close = () => { list.hidden = true; active = -1; };
+  const pick = (r) => { close(); showDetails(r); input.blur(); };
+  const render = () => {
+    list.innerHTML = hits.length
+      ? hits.map((r, i) => `<li data-i="${i}" class="${i === active ? "active" : ""}">${escapeHtml(itemLabel(r))}`
+        + `<div class="hint">${escapeHtml(r.Key)} · ${escapeHtml(r.Expectation)}</div></li>`).join("")
+        + (hits.length >= ITEM_SEARCH_LIMIT ? `<li class="hint">Type more to narrow the list…</li>` : "")
+      : `<li class="hint">No matching item.</li>`;
+    list.hidden = false;
+    list.querySelector("li.active")?.scrollIntoView({ block:"nearest" });
+  };
+  const search = () => { hits = searchItems(input.value); active = hits.length ? 0 : -1; render(); };
+
+  input.addEventListener("focus", () => { if (resultRows.length){ input.select(); hits = searchItems(""); active = -1; render(); } });
+  input.addEventListener("input", search);
+  input.addEventListener("keydown", (e) => {
+    if (list.hidden) return;
+    if (e.key === "ArrowDown" || e.key === "ArrowUp"){
+      e.preventDefault();
+      if (!hits.length) return;
+      active = (active + (e.key === "ArrowDown" ? 1 : -1) + hits.length) % hits.length;
+      render();
+    } else if (e.key === "Enter" && hits[active]){
+      e.preventDefault();
+      pick(hits[active]);
+    } else if (e.key === "Escape"){
+      close();
+      input.blur();
     }
+  });
+  // mousedown fires before the input's blur, so a click on a result still lands
+  list.addEventListener("mousedown", (e) => {
+    const li = e.target.closest("li[data-i]");
+    if (li){ e.preventDefault(); pick(hits[Number(li.dataset.i)]); }
+  });
+  input.addEventListener("blur", () => {
+    close();
+    const r = resultRows.find(x => x.Key === detailKey);
+    input.value = r ? itemLabel(r) : "";
+  });
+}
 
-    let sloc = "";
-    if (slocs.size === 1) sloc = [...slocs][0];
-    else if (slocs.size > 1) sloc = "MULTI";
-
-    const plantN = normIntish(plant);
-    const matN = normMaterial(material, matPad);
-    const slocN = (sloc === "MULTI") ? "MULTI" : normSloc(sloc, slocPad);
-
-    blocks.push({
-      Plant: plantN,
-      Material: matN,
-      "Storage Location": slocN,
-      "Material Description": desc,
-      SAP_SOH_MB5B: (closeQty !== null) ? Number(closeQty) : 0.0,
-      Key: makeKey(plantN, matN, slocN),
+function initTabs(){
+  document.querySelectorAll(".tab").forEach(btn => {
+    btn.addEventListener("click", () => {
+      document.querySelectorAll(".tab").forEach(b => b.classList.remove("active"));
+      document.querySelectorAll(".tabpane").forEach(p => p.classList.remove("active"));
+      btn.classList.add("active");
+      const which = btn.dataset.tab;
+      el(`tab-${which}`).classList.add("active");
     });
-  }
+  });
+}
 
-  // drop duplicates by Key
-  const seen = new Set();
-  const out = [];
-  for (const b of blocks){
-    if (seen.has(b.Key)) continue;
-    seen.add(b.Key);
-    out.push(b);
-  }
-  return out;
+function downloadJson(obj, filename){
+  const blob = new Blob([JSON.stringify(obj, null, 2)], { type:"application/json" });
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
 }
 
-/** Group sum Qty per Key */
-function computeExpectedSohMb51(mb51){
-  const map = new Map();
-  for (const r of mb51){
-    map.set(r.Key, (map.get(r.Key) || 0) + (r.Qty || 0));
+function renderNamedStoreSelect(store, prefix){
+  const sel = el(`${prefix}Select`);
+  sel.innerHTML = "";
+  for (const p of store.items){
+    const opt = document.createElement("option");
+    opt.value = p.name;
+    opt.textContent = p.name;
+    sel.appendChild(opt);
   }
-  return map;
+  sel.value = store.active;
+  el(`${prefix}DeleteBtn`).disabled = store.items.length <= 1;
 }
 
-function lastEvent(mb51, mvts, label){
-  const last = new Map(); // Key -> row
-  const mvSet = new Set(mvts);
-  for (const r of mb51){
-    if (!mvSet.has(r["Movement Type"])) continue;
-    if (!r["Post DateTime"]) continue;
-    const cur = last.get(r.Key);
-    if (!cur || cur["Post DateTime"].getTime() < r["Post DateTime"].getTime()){
-      last.set(r.Key, r);
+/**
+ * Wire the select + New / Duplicate / Rename / Delete / Export / Import toolbar of a
+ * named store. Element ids start with prefix ("profile" -> profileSelect, profileNewBtn, ...).
+ */
+function initNamedStoreToolbar(store, prefix, { noun, validate, makeNew, render, fileName, unpack = null }){
+  const hint = (text) => { el(`${prefix}Hint`).textContent = text; };
+  const copy = (x) => JSON.parse(JSON.stringify(x));
+  const select = (item) => {
+    store.active = item.name;
+    store.save();
+    render();
+  };
+
+  el(`${prefix}Select`).addEventListener("change", (e) => {
+    store.active = e.target.value;
+    store.save();
+    render();
+    hint(`Active ${noun}: ${store.active}. Run Analysis again to apply.`);
+  });
+
+  el(`${prefix}NewBtn`).addEventListener("click", () => {
+    const name = prompt(`Name for the new ${noun}:`, store.uniqueName(`New ${noun}`));
+    if (!name || !name.trim()) return;
+    const item = makeNew();
+    item.name = store.uniqueName(name.trim());
+    store.items.push(item);
+    select(item);
+  });
+
+  el(`${prefix}DupBtn`).addEventListener("click", () => {
+    const item = copy(store.current());
+    item.name = store.uniqueName(`${item.name} copy`);
+    store.items.push(item);
+    select(item);
+  });
+
+  el(`${prefix}RenameBtn`).addEventListener("click", () => {
+    const item = store.current();
+    const name = prompt("New name:", item.name);
+    if (!name || !name.trim() || name.trim() === item.name) return;
+    item.name = store.uniqueName(name.trim());
+    select(item);
+  });
+
+  el(`${prefix}DeleteBtn`).addEventListener("click", () => {
+    if (store.items.length <= 1) return;
+    if (!confirm(`Delete ${noun} "${store.active}"?`)) return;
+    store.items = store.items.filter(p => p.name !== store.active);
+    select(store.items[0]);
+  });
+
+  el(`${prefix}ExportBtn`).addEventListener("click", () => {
+    const item = store.current();
+    downloadJson(item, `${fileName}_${item.name.replace(/[^\w-]+/g, "_")}.json`);
+  });
+
+  el(`${prefix}ImportBtn`).addEventListener("click", () => el(`${prefix}ImportFile`).click());
+  el(`${prefix}ImportFile`).addEventListener("change", async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try{
+      const data = JSON.parse(await file.text());
+      const incoming = (unpack ? unpack(data) : (Array.isArray(data) ? data : [data])).map(validate);
+      for (const p of incoming){
+        const idx = store.items.findIndex(x => x.name === p.name);
+        if (idx >= 0 && !confirm(`Replace existing ${noun} "${p.name}"?`)) p.name = store.uniqueName(p.name);
+        if (idx >= 0 && store.items[idx].name === p.name) store.items[idx] = p;
+        else store.items.push(p);
+        store.active = p.name;
+      }
+      store.save();
+      render();
+      hint(`Imported ${incoming.length} ${noun}(s) from ${file.name}.`);
+    }catch(err){
+      alert(`Could not import ${noun}:\n\n${err.message || err}`);
     }
+  });
+}
+
+/** Validate the active profile and persist it; problems are shown, not thrown */
+function commitProfileEdit(){
+  try{
+    validateProfile(activeProfile());
+    profileStore.save();
+    el("profileHint").textContent = "Saved. Run Analysis again to apply.";
+  }catch(err){
+    el("profileHint").textContent = `Not saved: ${err.message || err}`;
   }
-  // convert to map Key -> fields
-  const out = new Map();
-  for (const [key, r] of last.entries()){
-    out.set(key, {
-      [`${label}_DT`]: r["Post DateTime"],
-      [`${label}_Qty`]: r.Qty,
-      [`${label}_MvT`]: r["Movement Type"],
-      [`${label}_Txt`]: r["Movement Type Text"],
-    });
-  }
-  return out;
 }
 
-function expectationAndReason(row, tol){
-  const sap = Number(row.SAP_SOH_MB5B || 0);
-  const exp = Number(row.Expected_SOH_MB51 || 0);
-  const delta = Number(row.Delta_SAP_minus_Expected || 0);
+function renderProfileEditor(){
+  renderNamedStoreSelect(profileStore, "profile");
+
+  const prof = activeProfile();
+  const tbody = el("mvtTable").querySelector("tbody");
+  tbody.innerHTML = "";
+  prof.types.forEach((t, i) => {
+    const tr = document.createElement("tr");
+
+    const mvtIn = document.createElement("input");
+    mvtIn.value = t.mvt;
+    mvtIn.size = 6;
+    mvtIn.addEventListener("change", () => { t.mvt = mvtIn.value.trim(); commitProfileEdit(); });
+
+    const clsSel = document.createElement("select");
+    for (const [k, label] of Object.entries(MVT_CLASSES)){
+      const opt = document.createElement("option");
+      opt.value = k;
+      opt.textContent = label;
+      clsSel.appendChild(opt);
+    }
+    clsSel.value = t.cls;
+
+    const ofIn = document.createElement("input");
+    ofIn.value = t.of || "";
+    ofIn.size = 6;
+    ofIn.placeholder = "e.g. 251";
+    ofIn.disabled = t.cls !== "reversal";
+    ofIn.addEventListener("change", () => { t.of = ofIn.value.trim(); commitProfileEdit(); });
+
+    clsSel.addEventListener("change", () => {
+      t.cls = clsSel.value;
+      if (t.cls !== "reversal") delete t.of;
+      ofIn.disabled = t.cls !== "reversal";
+      commitProfileEdit();
+    });
 
-  const dCount = row.Days_Since_LastCount;
-  const dRec = row.Days_Since_LastReceipt;
-  const dSale = row.Days_Since_LastSale;
+    const delBtn = document.createElement("button");
+    delBtn.textContent = "Remove";
+    delBtn.addEventListener("click", () => {
+      prof.types.splice(i, 1);
+      commitProfileEdit();
+      renderProfileEditor();
+    });
 
-  const loss702 = Number(row.Loss702_Sum || 0);
+    for (const node of [mvtIn, clsSel, ofIn, delBtn]){
+      const td = document.createElement("td");
+      td.appendChild(node);
+      tr.appendChild(td);
+    }
+    tbody.appendChild(tr);
+  });
+}
 
-  const reasons = [];
+function initProfileEditor(){
+  profileStore.load();
+  renderProfileEditor();
 
-  if (sap <= 0){
-    return { Expectation:"N/A", Summary:"SAP shows 0 on-hand (no stock expected)." };
-  }
+  initNamedStoreToolbar(profileStore, "profile", {
+    noun: "profile",
+    validate: validateProfile,
+    makeNew: () => cloneProfile(DEFAULT_MVT_PROFILE),
+    render: renderProfileEditor,
+    fileName: "mvt_profile",
+  });
 
-  let base = "MEDIUM";
-  if (Math.abs(delta) <= tol){
-    reasons.push("SAP SOH matches movement replay (consistent).");
-    base = "HIGH";
-  } else {
-    reasons.push(`SAP SOH differs from movement replay by ${delta.toFixed(2)} (mismatch).`);
-    base = (Math.abs(delta) <= 5) ? "MEDIUM" : "LOW";
-  }
+  el("mvtAddBtn").addEventListener("click", () => {
+    activeProfile().types.push({ mvt:"", cls:"sale" });
+    renderProfileEditor();
+    const inputs = el("mvtTable").querySelectorAll("tbody input");
+    inputs[inputs.length - 2]?.focus();
+  });
+}
 
-  if (Number.isFinite(dRec) && dRec <= 14){
-    reasons.push("Recent receipt → stock likely exists somewhere (backroom possible).");
-    if (base === "MEDIUM") base = "HIGH";
-  } else if (!Number.isFinite(dRec) || dRec > 90){
-    reasons.push("No recent receipts → less likely to be in backroom.");
-    if (base === "HIGH") base = "MEDIUM";
+/** Validate the edited rule set and the assignments and persist them; problems are shown, not thrown */
+function commitRuleEdit(){
+  try{
+    validateRuleSet(ruleStore.current());
+    ruleStore.save();
+    localStorage.setItem(LS_RULE_ASSIGNMENTS, JSON.stringify(ruleAssignments));
+    el("ruleSetHint").textContent = "Saved. Run Analysis again to apply.";
+  }catch(err){
+    el("ruleSetHint").textContent = `Not saved: ${err.message || err}`;
   }
+}
 
-  if (Number.isFinite(dSale) && dSale <= 14){
-    reasons.push("Recent sales → item is active (stock movement ongoing).");
-  }
+function renderRuleEditor(){
+  renderNamedStoreSelect(ruleStore, "ruleSet");
+  const rs = ruleStore.current();
+
+  el("mediumMaxDelta").value = rs.mediumMaxDelta;
+
+  const tbody = el("ruleTable").querySelector("tbody");
+  tbody.innerHTML = "";
+  for (const def of EXPECTATION_RULES){
+    const rule = rs.rules[def.id];
+    const tr = document.createElement("tr");
+
+    const name = document.createElement("span");
+    name.textContent = def.label;
+
+    const on = document.createElement("input");
+    on.type = "checkbox";
+    on.checked = rule.enabled;
+    on.addEventListener("change", () => { rule.enabled = on.checked; commitRuleEdit(); });
+
+    const thr = document.createElement("span");
+    if (def.unit){
+      const inp = document.createElement("input");
+      inp.type = "number";
+      inp.min = "0";
+      inp.style.width = "80px";
+      inp.value = rule.threshold;
+      inp.addEventListener("change", () => { rule.threshold = Number(inp.value); commitRuleEdit(); });
+      thr.appendChild(inp);
+      thr.appendChild(document.createTextNode(` ${def.unit}`));
+    }
+
+    const step = document.createElement("select");
+    for (const n of [-2, -1, 0, 1, 2]){
+      const opt = document.createElement("option");
+      opt.value = String(n);
+      opt.textContent = n > 0 ? `+${n} (up)` : n < 0 ? `${n} (down)` : "0 (note only)";
+      step.appendChild(opt);
+    }
+    step.value = String(rule.step);
+    step.addEventListener("change", () => { rule.step = Number(step.value); commitRuleEdit(); });
+
+    const levels = document.createElement("span");
+    for (const lvl of EXPECTATION_LEVELS){
+      const lab = document.createElement("label");
+      lab.className = "check";
+      const cb = document.createElement("input");
+      cb.type = "checkbox";
+      cb.checked = rule.levels.includes(lvl);
+      cb.addEventListener("change", () => {
+        rule.levels = EXPECTATION_LEVELS.filter(l => l === lvl ? cb.checked : rule.levels.includes(l));
+        commitRuleEdit();
+      });
+      lab.appendChild(cb);
+      lab.appendChild(document.createTextNode(` ${lvl}`));
+      levels.appendChild(lab);
+    }
 
-  if (loss702 < 0){
-    reasons.push(`702 loss history (${loss702.toFixed(2)}) → higher chance of shrink / missing stock.`);
-    if (base === "HIGH") base = "MEDIUM";
-    else if (base === "MEDIUM") base = "LOW";
+    for (const node of [name, on, thr, step, levels]){
+      const td = document.createElement("td");
+      td.appendChild(node);
+      tr.appendChild(td);
+    }
+    tbody.appendChild(tr);
   }
 
-  if (!Number.isFinite(dCount)){
-    reasons.push("No 701/702 count event found → confidence weaker.");
-    if (base === "HIGH") base = "MEDIUM";
-  } else if (dCount > 180){
-    reasons.push("Last count is old → more uncertainty.");
-    if (base === "HIGH") base = "MEDIUM";
+  const abody = el("ruleAssignTable").querySelector("tbody");
+  abody.innerHTML = "";
+  ruleAssignments.forEach((a, i) => {
+    const tr = document.createElement("tr");
+
+    const plant = document.createElement("input");
+    plant.value = a.plant || "";
+    plant.size = 6;
+    plant.placeholder = "any";
+    plant.addEventListener("change", () => { a.plant = plant.value.trim(); commitRuleEdit(); });
+
+    const prefix = document.createElement("input");
+    prefix.value = a.prefix || "";
+    prefix.size = 12;
+    prefix.placeholder = "any";
+    prefix.addEventListener("change", () => { a.prefix = prefix.value.trim(); commitRuleEdit(); });
+
+    const set = document.createElement("select");
+    for (const r of ruleStore.items){
+      const opt = document.createElement("option");
+      opt.value = r.name;
+      opt.textContent = r.name;
+      set.appendChild(opt);
+    }
+    if (!ruleStore.items.some(r => r.name === a.ruleSet)){
+      const opt = document.createElement("option");
+      opt.value = a.ruleSet;
+      opt.textContent = `${a.ruleSet} (missing)`;
+      set.appendChild(opt);
+    }
+    set.value = a.ruleSet;
+    set.addEventListener("change", () => { a.ruleSet = set.value; commitRuleEdit(); });
+
+    const delBtn = document.createElement("button");
+    delBtn.textContent = "Remove";
+    delBtn.addEventListener("click", () => {
+      ruleAssignments.splice(i, 1);
+      commitRuleEdit();
+      renderRuleEditor();
+    });
+
+    for (const node of [plant, prefix, set, delBtn]){
+      const td = document.createElement("td");
+      td.appendChild(node);
+      tr.appendChild(td);
+    }
+    abody.appendChild(tr);
+  });
+}
+
+function initRuleEditor(){
+  ruleStore.load();
+  try{
+    const stored = JSON.parse(localStorage.getItem(LS_RULE_ASSIGNMENTS) || "[]");
+    ruleAssignments = Array.isArray(stored)
+      ? stored.map(a => ({ plant: String(a.plant || ""), prefix: String(a.prefix || ""), ruleSet: String(a.ruleSet || "") }))
+      : [];
+  }catch{
+    ruleAssignments = [];
   }
+  renderRuleEditor();
+
+  initNamedStoreToolbar(ruleStore, "ruleSet", {
+    noun: "rule set",
+    validate: validateRuleSet,
+    makeNew: () => validateRuleSet(DEFAULT_RULE_SET),
+    render: renderRuleEditor,
+    fileName: "rule_set",
+    // a file from "Export rule sets + assignments" also brings its assignments
+    unpack: (data) => {
+      const rules = parseRulesFile(data);
+      if (Array.isArray(data?.ruleAssignments)){
+        ruleAssignments = rules.ruleAssignments;
+        localStorage.setItem(LS_RULE_ASSIGNMENTS, JSON.stringify(ruleAssignments));
+      }
+      return rules.ruleSets;
+    },
+  });
 
-  return { Expectation: base, Summary: reasons.slice(0,3).join(" ") };
+  el("ruleBundleExportBtn").addEventListener("click", () => {
+    downloadJson({ ruleSets: ruleStore.items, defaultRuleSet: ruleStore.active, ruleAssignments }, "rule_sets_and_assignments.json");
+  });
+
+  el("mediumMaxDelta").addEventListener("change", (e) => {
+    ruleStore.current().mediumMaxDelta = Number(e.target.value);
+    commitRuleEdit();
+  });
+
+  el("ruleAssignAddBtn").addEventListener("click", () => {
+    ruleAssignments.push({ plant:"", prefix:"", ruleSet: ruleStore.active });
+    commitRuleEdit();
+    renderRuleEditor();
+  });
 }
 
-function formatDate(d){
-  if (!d) return "";
+function loadMb51Mappings(){
   try{
-    return d.toISOString().replace("T"," ").slice(0,19);
+    return JSON.parse(localStorage.getItem(LS_MB51_MAPPINGS) || "{}") || {};
   }catch{
-    return String(d);
+    return {};
   }
 }
 
-function buildDetailsText(r){
-  const lines = [];
-  lines.push(`KEY: ${r.Key}`);
-  lines.push(`Material: ${r.Material}  |  SLoc: ${r["Storage Location"]}  |  Plant: ${r.Plant}`);
-  lines.push(`Description: ${r["Material Description"] || ""}`);
-  lines.push("");
-  lines.push("WHAT SAP SAYS NOW:");
-  lines.push(`  SAP SOH (from MB5B): ${Number(r.SAP_SOH_MB5B || 0).toFixed(2)}`);
-  lines.push("");
-  lines.push("WHAT MOVEMENT HISTORY IMPLIES:");
-  lines.push(`  Expected SOH (from MB51 replay): ${Number(r.Expected_SOH_MB51 || 0).toFixed(2)}`);
-  lines.push(`  Difference (SAP - Expected): ${Number(r.Delta_SAP_minus_Expected || 0).toFixed(2)}`);
-  lines.push("");
-  lines.push("SHOULD IT BE THERE (WITHOUT COUNTING)?");
-  lines.push(`  Expectation: ${r.Expectation}`);
-  lines.push(`  Why: ${r.Summary || ""}`);
-  lines.push("");
-  lines.push("RECENT CHECKPOINTS (helpful for gap-scan judgement):");
-  lines.push(`  Last count adjustment (701/702): ${formatDate(r.LastCount_DT)}  | Qty: ${r.LastCount_Qty ?? ""}`);
-  lines.push(`  Last sale movement (251/601): ${formatDate(r.LastSale_DT)}  | Qty: ${r.LastSale_Qty ?? ""}`);
-  lines.push(`  Last receipt (101): ${formatDate(r.LastReceipt_DT)}  | Qty: ${r.LastReceipt_Qty ?? ""}`);
-  lines.push(`  702 loss total: ${Number(r.Loss702_Sum || 0).toFixed(2)}`);
-  lines.push("");
-  lines.push("HOW TO USE THIS IN YOUR PROCESS:");
-  lines.push("  - If shelf is empty AND Expectation is HIGH → likely exists somewhere (backroom check first).");
-  lines.push("  - If shelf is empty AND Expectation is LOW → SAP may be overstated; consider COUNT before write-off.");
-  lines.push("  - If SAP SOH is small (1–2) → low exposure; policy/value can drive whether you count or write off.");
-  return lines.join("\n");
+/** Ask the user which source column feeds each MB51 field. Resolves to a mapping, rejects on cancel. */
+function showMappingDialog(headers, guess, fileName){
+  const dlg = el("mapDialog");
+  const box = el("mapFields");
+  el("mapDialogHint").textContent = `${fileName}: some columns could not be recognised. Pick the source column for each field; the choice is remembered for files with the same columns.`;
+  el("mapDialogError").textContent = "";
+  box.innerHTML = "";
+
+  const selects = {};
+  for (const field of MB51_REQUIRED){
+    const lab = document.createElement("label");
+    lab.textContent = MB51_OPTIONAL.has(field) ? `${field} (optional)` : field;
+    const sel = document.createElement("select");
+    const none = document.createElement("option");
+    none.value = "";
+    none.textContent = MB51_OPTIONAL.has(field) ? "(not in file)" : "(choose a column)";
+    sel.appendChild(none);
+    for (const h of headers){
+      const opt = document.createElement("option");
+      opt.value = h;
+      opt.textContent = h;
+      sel.appendChild(opt);
+    }
+    sel.value = guess[field] || "";
+    box.appendChild(lab);
+    box.appendChild(sel);
+    selects[field] = sel;
+  }
+
+  const onOk = (e) => {
+    const missing = MB51_REQUIRED.filter(f => !MB51_OPTIONAL.has(f) && !selects[f].value);
+    if (missing.length){
+      e.preventDefault();
+      el("mapDialogError").textContent = `Still missing: ${missing.join(", ")}`;
+    }
+  };
+  el("mapOkBtn").addEventListener("click", onOk);
+
+  return new Promise((resolve, reject) => {
+    dlg.addEventListener("close", () => {
+      el("mapOkBtn").removeEventListener("click", onOk);
+      if (dlg.returnValue !== "ok") return reject(new Error("MB51 column mapping cancelled."));
+      const mapping = {};
+      for (const f of MB51_REQUIRED) if (selects[f].value) mapping[f] = selects[f].value;
+      resolve(mapping);
+    }, { once:true });
+    dlg.returnValue = "";
+    dlg.showModal();
+  });
 }
 
-function initTabs(){
-  document.querySelectorAll(".tab").forEach(btn => {
-    btn.addEventListener("click", () => {
-      document.querySelectorAll(".tab").forEach(b => b.classList.remove("active"));
-      document.querySelectorAll(".tabpane").forEach(p => p.classList.remove("active"));
-      btn.classList.add("active");
-      const which = btn.dataset.tab;
-      el(`tab-${which}`).classList.add("active");
+/**
+ * Work out the MB51 column mapping: aliases first, then a mapping saved for
+ * the same header layout, otherwise ask the user (and remember the answer).
+ */
+async function resolveMb51Mapping(headers, fileName){
+  const auto = resolveColumns(headers, MB51_ALIASES);
+  // optional columns (description, texts, time of entry) never prompt, as in autoMb51Mapping
+  if (auto.missing.every(f => MB51_OPTIONAL.has(f))) return auto.mapping;
+
+  const sig = headerSignature(headers);
+  const saved = loadMb51Mappings();
+  const prev = saved[sig];
+  if (prev && Object.values(prev).every(h => headers.includes(h))) return prev;
+
+  const mapping = await showMappingDialog(headers, { ...auto.mapping, ...(prev || {}) }, fileName);
+  saved[sig] = mapping;
+  localStorage.setItem(LS_MB51_MAPPINGS, JSON.stringify(saved));
+  return mapping;
+}
+
+function describeMapping(mapping){
+  const renamed = Object.entries(mapping).filter(([field, src]) => String(src).trim() !== field);
+  if (!renamed.length) return "";
+  return renamed.map(([field, src]) => `${src} → ${field}`).join(", ");
+}
+
+/** Tabulator formatter: quantity plus the row's base unit */
+function qtyCell(cell){
+  return formatQty(cell.getValue(), cell.getRow().getData().Base_Unit);
+}
+
+/** Header filter for numbers: "5" (equal), ">0", "<=-2", "!=0" */
+function numberHeaderFilter(query, value){
+  const m = String(query).trim().match(/^(>=|<=|!=|>|<|=)?\s*(-?\d+(?:[.,]\d+)?)$/);
+  if (!m) return true; // unfinished input filters nothing yet
+  const v = Number(value), q = Number(m[2].replace(",", "."));
+  if (!Number.isFinite(v)) return false;
+  switch (m[1]){
+    case ">": return v > q;
+    case ">=": return v >= q;
+    case "<": return v < q;
+    case "<=": return v <= q;
+    case "!=": return v !== q;
+    default: return Math.abs(v - q) < 1e-9;
+  }
+}
+
+const dateHeaderFilter = (query, value) => formatDate(value).includes(String(query).trim());
+const numberOrBlank = (c) => {
+  const v = c.getValue();
+  return Number.isFinite(v) ? String(Number.isInteger(v) ? v : Number(v.toFixed(2))) : "";
+};
+
+/** Tabulator settings per kind of decision list column */
+const LIST_COLUMN_KINDS = {
+  text: { headerFilter:"input" },
+  qty: { hozAlign:"right", formatter:qtyCell, headerFilter:"input", headerFilterFunc:numberHeaderFilter,
+    headerFilterPlaceholder:">0, <-5…", bottomCalc:"sum", bottomCalcFormatter:(c)=>formatQty(c.getValue()) },
+  num: { hozAlign:"right", formatter:numberOrBlank, headerFilter:"input", headerFilterFunc:numberHeaderFilter, headerFilterPlaceholder:">30…" },
+  money: { hozAlign:"right", formatter:(c)=>formatMoney(c.getValue()), headerFilter:"input", headerFilterFunc:numberHeaderFilter,
+    headerFilterPlaceholder:">100…", bottomCalc:"sum", bottomCalcFormatter:(c)=>formatMoney(c.getValue()) },
+  date: { formatter:(c)=>formatDate(c.getValue()), headerFilter:"input", headerFilterFunc:dateHeaderFilter, headerFilterPlaceholder:"2025-01…",
+    sorter:(a, b) => (a ? a.getTime() : 0) - (b ? b.getTime() : 0) },
+  flag: { hozAlign:"center", formatter:(c)=>c.getValue() ? "⚠" : "", headerFilter:"tickCross",
+    headerFilterParams:{ tristate:true }, headerFilterEmptyCheck:(v) => v === null || v === undefined || v === "" },
+  level: { hozAlign:"center", headerFilter:"list", headerFilterParams:{ values: ["HIGH", "MEDIUM", "LOW", "N/A"], clearable:true } },
+  category: { headerFilter:"list", headerFilterParams:{ valuesLookup:true, clearable:true, sort:"asc" } },
+  aisle: { headerFilter:"input", sorter:(a, b) => compareAisle(a, b) },
+  status: { editor:"list", editorParams:{ values: WORKFLOW_STATUSES }, headerFilter:"list",
+    headerFilterParams:{ values: WORKFLOW_STATUSES, clearable:true } },
+};
+
+/** Decision list columns; `show` marks the ones visible until the user picks their own */
+const LIST_COLUMNS = [
+  { field:"Plant", kind:"text", width:110, show:true },
+  { field:"Material", kind:"text", width:160, show:true },
+  { field:"Storage Location", kind:"text", width:160, show:true },
+  { field:"Material Description", kind:"text", width:340, show:true },
+  { field:"EAN", kind:"text", width:150 },
+  { field:"Department", kind:"category", width:150, show:true },
+  { field:"Merch_Category", kind:"category", width:170 },
+  { field:"Vendor", kind:"category", width:170 },
+  { field:"Aisle_Location", kind:"aisle", width:150, show:true },
+  { field:"SAP_SOH_MB5B", kind:"qty", width:140, show:true },
+  { field:"Expected_SOH_MB51", kind:"qty", width:170, show:true },
+  { field:"Delta_SAP_minus_Expected", kind:"qty", width:210, show:true },
+  { field:"Base_Unit", kind:"text", width:100 },
+  { field:"Expectation", kind:"level", width:120, show:true },
+  { field:"Status", kind:"status", width:160, show:true },
+  { field:"Counted_Qty", kind:"num", width:140, editor:"number", show:true },
+  { field:"Note", kind:"text", width:220, editor:"input", tooltip:true, show:true },
+  { field:"Status_By", kind:"text", width:130 },
+  { field:"Status_DT", kind:"date", width:170 },
+  { field:"Status_Expectation", kind:"level", width:170 },
+  { field:"Value_At_Risk", kind:"money", width:140, show:true },
+  { field:"Unit_Price", kind:"money", width:120 },
+  { field:"SAP_Value", kind:"money", width:130 },
+  { field:"Delta_Value", kind:"money", width:130 },
+  { field:"LastCount_DT", kind:"date", width:170 },
+  { field:"LastCount_Qty", kind:"num", width:130 },
+  { field:"Days_Since_LastCount", kind:"num", width:180 },
+  { field:"LastSale_DT", kind:"date", width:170 },
+  { field:"LastSale_Qty", kind:"num", width:130 },
+  { field:"Days_Since_LastSale", kind:"num", width:170 },
+  { field:"LastReceipt_DT", kind:"date", width:170 },
+  { field:"LastReceipt_Qty", kind:"num", width:140 },
+  { field:"Days_Since_LastReceipt", kind:"num", width:190 },
+  { field:"Loss702_Sum", kind:"num", width:130 },
+  { field:"Count_Cycles", kind:"num", width:140 },
+  { field:"Loss_Cycles_90d", kind:"num", width:160 },
+  { field:"Loss_Cycles_Window", kind:"num", width:180 },
+  { field:"Shrink_Window_Days", kind:"num", width:180 },
+  { field:"Avg_Loss_Per_Cycle", kind:"num", width:170 },
+  { field:"Recounted_Losses", kind:"num", width:170 },
+  { field:"Last_Cycle_DT", kind:"date", width:170 },
+  { field:"Last_Cycle_Net", kind:"num", width:150 },
+  { field:"Sales_Per_Day_30d", kind:"num", width:170 },
+  { field:"Sales_Per_Day_90d", kind:"num", width:170 },
+  { field:"Typical_Sale_Gap_Days", kind:"num", width:190 },
+  { field:"Sale_Gap_Score", kind:"num", width:150 },
+  { field:"Days_Of_Cover", kind:"num", width:150 },
+  { field:"Phantom_Suspect", kind:"flag", width:150, show:true },
+  { field:"Rule_Set", kind:"text", width:140 },
+  { field:"MB5B_Check", kind:"text", width:140 },
+  { field:"Unit_Note", kind:"text", width:220 },
+  { field:"Likely_Location", kind:"text", width:150 },
+  { field:"Likely_Location_Note", kind:"text", width:320, tooltip:true },
+  { field:"Last_Transfer_In_DT", kind:"date", width:180 },
+  { field:"Last_Transfer_In_From", kind:"text", width:190 },
+  { field:"Last_Transfer_Out_DT", kind:"date", width:190 },
+  { field:"Last_Transfer_Out_To", kind:"text", width:180 },
+  { field:"Gap_Scan_Code", kind:"text", width:160 },
+  { field:"Gap_Scan_Time", kind:"date", width:170, show:true },
+  { field:"Summary", kind:"text", widthGrow:3, tooltip:true, show:true },
+];
+
+function loadListColumns(){
+  try{
+    const saved = JSON.parse(localStorage.getItem(LS_LIST_COLUMNS) || "null");
+    if (Array.isArray(saved)) return new Set(saved);
+  }catch{ /* fall back to the defaults */ }
+  return new Set(LIST_COLUMNS.filter(c => c.show).map(c => c.field));
+}
+
+/** Checkbox per decision list column; the choice is remembered in this browser */
+function initColumnChooser(){
+  const shown = loadListColumns();
+  const box = el("columnChoices");
+  for (const c of LIST_COLUMNS){
+    const lab = document.createElement("label");
+    lab.className = "check";
+    const cb = document.createElement("input");
+    cb.type = "checkbox";
+    cb.checked = shown.has(c.field);
+    cb.addEventListener("change", () => {
+      if (cb.checked){ shown.add(c.field); table.showColumn(c.field); }
+      else { shown.delete(c.field); table.hideColumn(c.field); }
+      localStorage.setItem(LS_LIST_COLUMNS, JSON.stringify([...shown]));
     });
-  });
+    lab.append(cb, ` ${c.field}`);
+    box.appendChild(lab);
+  }
 }
 
+/** Group header: the group plus its item count and quantity subtotals */
+function listGroupHeader(value, count, data, group){
+  const sum = (f) => data.reduce((a, r) => a + (Number(r[f]) || 0), 0).toFixed(2);
+  return `${escapeHtml(group.getField())} ${escapeHtml(value === "" ? "(none)" : value)} <span class="group-sum">${count} items · SAP ${sum("SAP_SOH_MB5B")}`
+    + ` · Expected ${sum("Expected_SOH_MB51")} · Delta ${sum("Delta_SAP_minus_Expected")}</span>`;
+}
+
+const LIST_GROUPS = {
+  "": { label:"No grouping", by:false },
+  plant: { label:"Plant", by:"Plant" },
+  sloc: { label:"Plant and storage location", by:["Plant", "Storage Location"] },
+  department: { label:"Department", by:"Department" },
+  category: { label:"Department and merchandise category", by:["Department", "Merch_Category"] },
+};
+
 function initTable(){
+  const shown = loadListColumns();
   table = new Tabulator("#table", {
     height: "620px",
     layout: "fitColumns",
     placeholder: "Run analysis to see results.",
     data: [],
+    groupHeader: listGroupHeader,
     rowFormatter: function(row){
       const d = row.getData();
       row.getElement().classList.remove("row-high","row-medium","row-low","row-na");
@@ -430,191 +1125,851 @@ function initTable(){
       else if (exp === "MEDIUM") row.getElement().classList.add("row-medium");
       else if (exp === "LOW") row.getElement().classList.add("row-low");
       else row.getElement().classList.add("row-na");
+      row.getElement().classList.toggle("row-post-scan", !!d.Post_Scan_Activity);
     },
     columns: [
-      { title:"Plant", field:"Plant", width:110 },
-      { title:"Material", field:"Material", width:160 },
-      { title:"Storage Location", field:"Storage Location", width:160 },
-      { title:"Material Description", field:"Material Description", width:340 },
-      { title:"SAP_SOH_MB5B", field:"SAP_SOH_MB5B", hozAlign:"right", width:140, formatter:(c)=>Number(c.getValue()||0).toFixed(2) },
-      { title:"Expected_SOH_MB51", field:"Expected_SOH_MB51", hozAlign:"right", width:170, formatter:(c)=>Number(c.getValue()||0).toFixed(2) },
-      { title:"Delta_SAP_minus_Expected", field:"Delta_SAP_minus_Expected", hozAlign:"right", width:210, formatter:(c)=>Number(c.getValue()||0).toFixed(2) },
-      { title:"Expectation", field:"Expectation", width:120, hozAlign:"center" },
-      { title:"Summary", field:"Summary", widthGrow:3, tooltip:true },
+      { formatter:"rowSelection", titleFormatter:"rowSelection", hozAlign:"center", headerSort:false, width:44 },
+      ...LIST_COLUMNS.map(({ field, kind, show, ...opts }) =>
+        ({ title:field, field, visible: shown.has(field), ...LIST_COLUMN_KINDS[kind], ...opts })),
     ],
-    rowClick: function(e, row){
-      const d = row.getData();
-      el("keySelect").value = d.Key;
-      el("detailText").textContent = buildDetailsText(d);
-      // jump to Details tab
-      document.querySelector('.tab[data-tab="detail"]').click();
-    }
   });
+  table.on("rowClick", (e, row) => {
+    if (e.target.closest(".tabulator-editable, .tabulator-editing")) return; // editing progress, stay on the list
+    showDetails(row.getData());
+    // jump to Details tab
+    document.querySelector('.tab[data-tab="detail"]').click();
+  });
+  table.on("rowSelectionChanged", updateTicked);
+  table.on("cellEdited", saveWorkflowEdit);
+  // sorting or filtering the list changes what Prev/Next step through
+  table.on("renderComplete", updateItemNav);
+  table.on("dataFiltered", () => setTimeout(renderListCards));
 }
 
-function populateKeySelect(rows){
-  const sel = el("keySelect");
-  sel.innerHTML = "";
-  for (const r of rows){
-    const opt = document.createElement("option");
-    opt.value = r.Key;
-    opt.textContent = r.Key;
-    sel.appendChild(opt);
+/**
+ * Count and total delta per Expectation level over the rows the list shows (gap filter and
+ * header filters applied); a click filters the list to that level
+ */
+function renderListCards(){
+  const rows = detailOrder();
+  const current = table.getHeaderFilterValue("Expectation") || "";
+  const priced = rows.some(r => Number.isFinite(r.Value_At_Risk));
+  el("listCards").innerHTML = rows.length ? ["HIGH", "MEDIUM", "LOW", "N/A"].map(level => {
+    const of = rows.filter(r => (r.Expectation || "N/A") === level);
+    const delta = of.reduce((a, r) => a + (Number(r.Delta_SAP_minus_Expected) || 0), 0);
+    const value = of.reduce((a, r) => a + (Number(r.Value_At_Risk) || 0), 0);
+    const cls = ["card", "clickable", level === "N/A" ? "" : level.toLowerCase(), level === current ? "selected" : ""].join(" ");
+    return `<div class="${cls}" data-level="${level}" title="Show only ${level} rows (click again for all)">`
+      + `<div class="label">${level}</div><div class="value">${of.length.toLocaleString()}</div>`
+      + `<div class="sub">Δ ${delta.toFixed(2)}${priced ? ` · at risk ${formatMoney(value)}` : ""}</div></div>`;
+  }).join("") : "";
+}
+
+/**
+ * Start a run in a Web Worker; if workers are unavailable (e.g. the page was
+ * opened from file:// in Chrome) fall back to running on the main thread.
+ * Resolves with the pipeline result, rejects with CancelledError on cancel.
+ */
+function startRun(files, settings){
+  const mappingHook = (headers, fileName) => resolveMb51Mapping(headers, fileName);
+
+  let w = null;
+  try{
+    w = new Worker("./worker.js");
+  }catch(err){
+    console.warn("Web Worker unavailable, running on the main thread:", err);
+  }
+
+  if (!w){
+    let cancelled = false;
+    activeRun = { cancel: () => { cancelled = true; } };
+    return runPipeline(files, settings, {
+      progress: setStatus,
+      mapping: mappingHook,
+      cancelled: () => cancelled,
+    });
   }
-  sel.addEventListener("change", () => {
-    const k = sel.value;
-    const r = resultRows.find(x => x.Key === k);
-    el("detailText").textContent = r ? buildDetailsText(r) : "";
+
+  return new Promise((resolve, reject) => {
+    const finish = () => { w.terminate(); activeRun = null; };
+    activeRun = { cancel: () => { finish(); reject(new CancelledError()); } };
+
+    w.onmessage = async (e) => {
+      const msg = e.data;
+      if (msg.type === "progress") setStatus(msg.text);
+      else if (msg.type === "mapping"){
+        try{
+          w.postMessage({ type:"mapping", mapping: await mappingHook(msg.headers, msg.fileName) });
+        }catch(err){
+          w.postMessage({ type:"mapping", error: err.message || String(err) });
+        }
+      }
+      else if (msg.type === "done"){ finish(); resolve(msg.result); }
+      else if (msg.type === "error"){ finish(); reject(new Error(msg.message)); }
+    };
+    w.onerror = (e) => { finish(); reject(new Error(e.message || "Worker failed.")); };
+    w.postMessage({ type:"run", files, settings });
   });
 }
 
 async function runAnalysis(){
-  if (!mb51File || !mb5bFile){
+  if (!mb51Files.length || !mb5bFile){
     setStatus("Please load both MB51 and MB5B first.");
     return;
   }
+  if (activeRun) return;
 
   try{
     el("exportBtn").disabled = true;
+    el("runBtn").disabled = true;
+    el("cancelBtn").hidden = false;
     setStatus("Reading files...");
 
-    const matPad = Number(el("matPad").value);
-    const slocPad = Number(el("slocPad").value);
-    const tol = Number(el("tol").value);
+    const settings = {
+      matPad: Number(el("matPad").value),
+      slocPad: Number(el("slocPad").value),
+      dateFormat: el("dateFormat").value,
+      decimalFormat: el("decimalFormat").value,
+      tol: Number(el("tol").value),
+      shrinkWindow: Number(el("shrinkWindow").value) || 365,
+      asOfInput: el("asOf").value,
+      profile: validateProfile(activeProfile()),
+      ruleSets: ruleStore.items.map(validateRuleSet),
+      defaultRuleSet: ruleStore.active,
+      ruleAssignments,
+      sortBy: el("sortBy").value,
+    };
 
-    // MB51
-    const mb51Raw = await readWorkbookAsObjects(mb51File);
-    const mb51 = cleanMb51(mb51Raw, matPad, slocPad);
+    const files = { mb51: mb51Files, mb5b: mb5bFile, prices: priceFile, gapScan: gapScanFile, eanMap: eanMapFile, uom: uomFile, master: masterFile };
+    const res = await startRun(files, settings);
+    const rows = res.rows;
+
+    el("mb51Hint").textContent = res.mb51Files.map(f => {
+      const mapNote = describeMapping(f.mapping);
+      return `${f.file}${mapNote ? ` (columns: ${mapNote})` : ""}`;
+    }).join("; ");
+
+    showResultRows({ ...res, tol: settings.tol });
+
+    const splitNote = res.splitRows
+      ? ` | Multi-SLoc MB5B rows: ${res.splitRows} (check failed/not split: ${res.splitIssues})`
+      : "";
+    const asOfNote = res.asOf ? ` | Replay as of ${formatDate(res.asOf).slice(0,10)} (${res.asOfSource})` : "";
+
+    el("priceHint").textContent = priceFile ? `Loaded: ${priceFile.name} (${res.priceCount.toLocaleString()} prices)` : "No file loaded.";
+    el("uomHint").textContent = uomFile ? `Loaded: ${uomFile.name} (${res.uomCount.toLocaleString()} materials)` : "No file loaded.";
+    el("masterHint").textContent = masterFile
+      ? `Loaded: ${masterFile.name} (${res.masterCount.toLocaleString()} materials, ${res.masterMatched.toLocaleString()} of ${rows.length.toLocaleString()} items covered)`
+      : "No file loaded.";
+
+    const fileNote = res.mb51Files.map(f => `${f.file}: ${(f.read - f.dropped).toLocaleString()}`
+      + (f.dropped ? ` (+${f.dropped.toLocaleString()} duplicates dropped, by ${f.byDocument ? "document" : "row fingerprint"})` : "")).join(", ");
+    const gapNote = res.gapScan
+      ? ` | Gap scans: ${res.gapScan.scans} → ${res.gapScan.matchedRows} items, ${res.gapScan.unresolved.length} unresolved`
+      : "";
+    const unitNote = res.unitIssues ? ` | ⚠ Unconverted units on ${res.unitIssues.toLocaleString()} items` : "";
+    const formatNote = describeFormats(res, settings);
+    const issueNote = describeParseIssues(res.parseIssues);
+    const flagged = res.dataIssues.filter(i => i.count).length;
+    const dataNote = flagged ? ` | Data Issues: ${flagged} categories flagged` : "";
+    const done = `Done. MB51 rows: ${res.mb51Count.toLocaleString()} [${fileNote}] | Keys matched between MB51 and MB5B: ${res.overlap}${dataNote}${splitNote}${asOfNote}${gapNote}${unitNote}${formatNote}${issueNote}`;
+    setStatus(`${done} | Saving run...`);
+    const saved = await storeRun(res, settings, files);
+    setStatus(saved ? done : `${done} | Run not saved to History (see console).`);
+  }catch(err){
+    if (err instanceof CancelledError){
+      setStatus("Analysis cancelled.");
+      return;
+    }
+    console.error(err);
+    setStatus(`Error: ${err.message || err}`);
+    alert(`Error:\n\n${err.message || err}`);
+  }finally{
+    activeRun = null;
+    el("runBtn").disabled = false;
+    el("cancelBtn").hidden = true;
+  }
+}
 
-    // MB5B
-    const mb5b2d = await readWorkbookAsArrays(mb5bFile);
-    const mb5b = parseMb5bBlocks(mb5b2d, matPad, slocPad);
+/** Status note on the formats auto-detection settled on (nothing when both were set by hand) */
+function describeFormats(res, settings){
+  const parts = [];
+  const label = (f, sure) => `${f}${sure ? "" : " (assumed)"}`;
+  if (settings.dateFormat === "auto"){
+    const dates = res.mb51Files.map(f => f.formats ? label(f.formats.date, f.formats.dateSure) : "").filter(Boolean);
+    if (res.formats.gapScan) dates.push(`${res.formats.gapScan.date} (gap scans)`);
+    if (dates.length) parts.push(`dates ${[...new Set(dates)].join(", ")}`);
+  }
+  if (settings.decimalFormat === "auto"){
+    const decs = res.mb51Files.map(f => f.formats ? label(f.formats.decimal, f.formats.decimalSure) : "").filter(Boolean);
+    decs.push(`${label(res.formats.mb5b.decimal, res.formats.mb5b.decimalSure)} (MB5B)`);
+    if (res.formats.prices) decs.push(`${label(res.formats.prices.decimal, res.formats.prices.decimalSure)} (prices)`);
+    if (res.formats.uom) decs.push(`${label(res.formats.uom.decimal, res.formats.uom.decimalSure)} (UoM)`);
+    parts.push(`decimals ${[...new Set(decs)].join(", ")}`);
+  }
+  return parts.length ? ` | Detected ${parts.join("; ")}` : "";
+}
 
-    setStatus("Computing metrics...");
+/** Status note listing cells that could not be read, with an example value each */
+function describeParseIssues(issues){
+  if (!issues || !issues.length) return "";
+  const total = issues.reduce((a, e) => a + e.count, 0);
+  const list = issues.map(e => `${e.source} ${e.field}: ${e.count.toLocaleString()} (e.g. "${e.examples[0]}")`).join("; ");
+  return ` | ⚠ Unreadable values: ${total.toLocaleString()} [${list}]`;
+}
 
-    const expectedMap = computeExpectedSohMb51(mb51);
+/**
+ * Put a result (fresh or reopened from History) into the list, Details and export.
+ * res: { rows, movements, asOf, gapScan, dataIssues, transfers, replayOnly } as from runPipeline, plus the run's tol.
+ */
+function showResultRows({ rows, movements, asOf, gapScan = null, dataIssues = [], transfers, replayOnly, tol }){
+  resultRows = rows;
+  resultTol = tol;
+  mb51ByKey = movements || new Map();
+  replayAsOf = asOf;
+  transfersByMaterial = transfers || new Map();
+  replayOnlyByMaterial = replayOnly || new Map();
+  applyWorkflow(rows, workflow);
+  table.setData(rows);
+  renderGapScanResult(gapScan);
+  renderDataIssues(dataIssues);
+  applyGapFilter();
+  el("exportBtn").disabled = rows.length === 0;
+}
 
-    const lastCnt = lastEvent(mb51, COUNT_MVTS, "LastCount");
-    const lastSale = lastEvent(mb51, SALES_MVTS, "LastSale");
-    const lastRec = lastEvent(mb51, RECEIPT_MVTS, "LastReceipt");
+/** Rows listed in the drill-down table; the export always has every row */
+const ISSUE_DRILL_LIMIT = 1000;
+
+function renderDataIssues(list){
+  const tbody = el("issueTable").querySelector("tbody");
+  tbody.innerHTML = "";
+  el("issueDrillTitle").textContent = "";
+  el("issueDrill").innerHTML = "";
+  const flagged = (list || []).filter(i => i.count).length;
+  el("issuesTab").textContent = flagged ? `Data Issues (${flagged})` : "Data Issues";
+  if (!list || !list.length){
+    tbody.innerHTML = `<tr><td colspan="4">Run analysis first.</td></tr>`;
+    return;
+  }
 
-    // Loss 702 sum
-    const loss702Map = new Map();
-    for (const r of mb51){
-      if (r["Movement Type"] !== "702") continue;
-      loss702Map.set(r.Key, (loss702Map.get(r.Key) || 0) + (r.Qty || 0));
+  for (const issue of list){
+    const tr = document.createElement("tr");
+    if (issue.count) tr.className = "flagged";
+    tr.innerHTML = `<td>${escapeHtml(issue.title)}</td><td class="num">${issue.count.toLocaleString()}</td>`
+      + `<td>${issue.count ? escapeHtml(issue.fix) : ""}</td><td></td>`;
+    if (issue.rows.length){
+      const show = document.createElement("button");
+      show.textContent = "Show";
+      show.addEventListener("click", () => showIssueRows(issue));
+      const exp = document.createElement("button");
+      exp.textContent = "Export";
+      exp.addEventListener("click", () => exportIssueRows(issue));
+      tr.lastElementChild.append(show, " ", exp);
     }
+    tbody.appendChild(tr);
+  }
+}
 
-    const rows = mb5b.map(b => {
-      const expected = expectedMap.get(b.Key) || 0.0;
-      const delta = (b.SAP_SOH_MB5B || 0) - expected;
+function showIssueRows(issue){
+  const shown = issue.rows.slice(0, ISSUE_DRILL_LIMIT);
+  const more = issue.count - shown.length;
+  el("issueDrillTitle").textContent = `${issue.title} (${issue.count.toLocaleString()})`;
+  const cell = (v) => (typeof v === "number") ? `<td class="num">${v.toFixed(2)}</td>` : `<td>${escapeHtml(v)}</td>`;
+  const head = issue.columns.map(c => `<th>${escapeHtml(c)}</th>`).join("");
+  const body = shown.map(r => `<tr>${issue.columns.map(c => cell(r[c])).join("")}</tr>`).join("");
+  el("issueDrill").innerHTML = `<table class="ledger-table"><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`
+    + (more > 0 ? `<div class="tip">${more.toLocaleString()} more not shown${issue.rows.length < issue.count ? " (only the first rows per file are kept)" : "; use Export for the full list"}.</div>` : "");
+}
 
-      const row = {
-        ...b,
-        Expected_SOH_MB51: expected,
-        Delta_SAP_minus_Expected: delta,
-      };
+function exportIssueRows(issue){
+  const ws = XLSX.utils.json_to_sheet(issue.rows.map(r => Object.fromEntries(issue.columns.map(c => [c, r[c] ?? ""]))));
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, ws, "Data issues");
+  XLSX.writeFile(wb, `data_issues_${issue.id}.xlsx`);
+}
 
-      Object.assign(row, lastCnt.get(b.Key) || {});
-      Object.assign(row, lastSale.get(b.Key) || {});
-      Object.assign(row, lastRec.get(b.Key) || {});
+/** Rows shown in the decision list: only the scanned gaps when that filter is on */
+function visibleRows(){
+  return el("gapOnly").checked && !el("gapOnly").disabled ? resultRows.filter(r => r.Gap_Scan) : resultRows;
+}
 
-      row.Days_Since_LastCount = row.LastCount_DT ? daysSince(row.LastCount_DT) : NaN;
-      row.Days_Since_LastSale = row.LastSale_DT ? daysSince(row.LastSale_DT) : NaN;
-      row.Days_Since_LastReceipt = row.LastReceipt_DT ? daysSince(row.LastReceipt_DT) : NaN;
-      row.Loss702_Sum = loss702Map.get(b.Key) || 0.0;
+function applyGapFilter(){
+  const on = el("gapOnly").checked && !el("gapOnly").disabled;
+  if (on) table.setFilter("Gap_Scan", "=", true);
+  else table.clearFilter();
 
-      const expRes = expectationAndReason(row, tol);
-      row.Expectation = expRes.Expectation;
-      row.Summary = expRes.Summary;
+  renderListCards();
+  const rows = visibleRows();
+  showDetails(rows[0] || null);
+}
 
-      return row;
-    });
+function renderGapScanResult(gap){
+  el("gapOnly").disabled = !gap;
+  el("gapHint").textContent = gap
+    ? `${gap.scans} scans matched ${gap.matchedRows} items; ${gap.unresolved.length} unresolved (see Unresolved Scans).`
+    : "Load a gap-scan file to filter the list to scanned gaps.";
+  el("gapScanHint").textContent = gapScanFile
+    ? `Loaded: ${gapScanFile.name}${gap ? ` (${gap.scans} scans)` : ""}` : "No file loaded.";
+  el("eanMapHint").textContent = eanMapFile
+    ? `Loaded: ${eanMapFile.name}${gap ? ` (${gap.eanCount.toLocaleString()} EANs)` : ""}` : "No file loaded.";
+
+  const body = (gap ? gap.unresolved : []).map(u =>
+    `<tr><td>${escapeHtml(u.Code)}</td><td>${escapeHtml(formatDate(u.Scan_Time))}</td><td>${escapeHtml(u.Plant)}</td>`
+    + `<td>${escapeHtml(u["Storage Location"])}</td><td>${escapeHtml(u.Reason)}</td></tr>`).join("");
+  el("gapTable").querySelector("tbody").innerHTML = body;
+}
 
-    // Sort: SAP stock > 0 first, then LOW first, then SAP desc
-    const order = { "LOW":0, "MEDIUM":1, "HIGH":2, "N/A":3 };
-    rows.sort((a,b) => {
-      const ap = (a.SAP_SOH_MB5B > 0) ? 1 : 0;
-      const bp = (b.SAP_SOH_MB5B > 0) ? 1 : 0;
-      if (ap !== bp) return bp - ap;
+/** Rows the user ticked in the decision list (the count tasks) */
+function tickedRows(){
+  return table ? table.getSelectedData() : [];
+}
+
+function updateTicked(){
+  const n = tickedRows().length;
+  el("tickHint").textContent = n ? `${n} ticked for counting.` : "Tick rows to build count tasks.";
+  el("piCsvBtn").disabled = !n;
+  el("printCountBtn").disabled = !n;
+}
+
+function exportExcel(){
+  if (!resultRows.length) return;
 
-      const ar = order[a.Expectation] ?? 9;
-      const br = order[b.Expectation] ?? 9;
-      if (ar !== br) return ar - br;
+  const ticked = tickedRows();
+  const { wb, ledgerTruncated } = buildResultWorkbook(table.getData("active"), {
+    movements: mb51ByKey, profile: activeProfile(), asOf: replayAsOf, ticked, tol: resultTol,
+  });
+  XLSX.writeFile(wb, "gap_scan_results.xlsx");
+  if (ledgerTruncated) alert("The Ledger sheet was cut at Excel's row limit; filter to fewer keys for the full ledger.");
+  if (!ticked.length) setStatus("Exported without a Count Tasks sheet: tick rows in the decision list to add one.");
+}
 
-      return (b.SAP_SOH_MB5B || 0) - (a.SAP_SOH_MB5B || 0);
+function exportPiUpload(){
+  const ticked = tickedRows();
+  if (!ticked.length) return;
+  const blob = new Blob([buildPiUploadCsv(ticked)], { type:"text/csv" });
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = "pi_upload.csv";
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+/**
+ * Printable count sheet for floor staff, one table per plant / storage location in aisle
+ * order (material master). It is a blind count: book quantities are left off.
+ */
+function printCountSheet(){
+  const ticked = tickedRows();
+  if (!ticked.length) return;
+
+  const groups = new Map();
+  for (const r of byLocation(ticked)){
+    const k = `${r.Plant} / ${r["Storage Location"]}`;
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(r);
+  }
+  const sections = [...groups.entries()].map(([loc, rows]) => {
+    const body = rows.map(r => `<tr><td>${escapeHtml(r.Aisle_Location)}</td><td>${escapeHtml(r.Material)}</td><td>${escapeHtml(r["Material Description"])}</td>`
+      + `<td>${escapeHtml(r.Base_Unit)}</td><td>${escapeHtml(r.Gap_Scan_Code)}</td><td class="blank"></td><td class="blank"></td></tr>`).join("");
+    return `<section><h2>Plant / SLoc ${escapeHtml(loc)} (${rows.length})</h2><table><thead><tr><th>Aisle</th><th>Material</th><th>Description</th>`
+      + `<th>Unit</th><th>Scanned code</th><th>Counted</th><th>Initials</th></tr></thead><tbody>${body}</tbody></table></section>`;
+  }).join("");
+
+  const win = window.open("", "_blank");
+  if (!win){ alert("The count sheet opens in a new window; allow pop-ups for this page."); return; }
+  win.document.write(`<!doctype html><html><head><meta charset="utf-8" /><title>Count sheet</title><style>
+    body{font:12px system-ui, sans-serif; color:#000; margin:16px}
+    h1{font-size:16px; margin:0 0 4px} h2{font-size:14px; margin:16px 0 6px}
+    section{page-break-inside:avoid} section + section{page-break-before:always}
+    table{width:100%; border-collapse:collapse} th, td{border:1px solid #444; padding:6px 4px; text-align:left}
+    td.blank{width:90px}
+  </style></head><body><h1>Count sheet</h1><div>Printed ${escapeHtml(formatDate(wallClock()))} · ${ticked.length} items · Signature: ____________</div>
+  ${sections}</body></html>`);
+  win.document.close();
+  win.focus();
+  win.print();
+}
+
+/** Progress saved in this browser; Status_DT comes back from JSON as text */
+function loadWorkflow(){
+  try{
+    const saved = JSON.parse(localStorage.getItem(LS_WORKFLOW) || "{}");
+    for (const e of Object.values(saved)) e.Status_DT = e.Status_DT ? new Date(e.Status_DT) : null;
+    return saved;
+  }catch(err){
+    console.warn(`Ignoring stored ${LS_WORKFLOW}:`, err);
+    return {};
+  }
+}
+
+function saveWorkflow(){
+  try{
+    localStorage.setItem(LS_WORKFLOW, JSON.stringify(workflow));
+  }catch(err){
+    alert(`Progress could not be saved in this browser:\n\n${err.message || err}`);
+  }
+}
+
+/**
+ * A status, counted quantity or note was edited in the decision list: stamp who and
+ * when, keep the Expectation it was acted on, and save it against the key.
+ * Entering a counted quantity on an item not yet settled marks it Counted.
+ */
+function saveWorkflowEdit(cell){
+  const field = cell.getField();
+  if (!["Status", "Counted_Qty", "Note"].includes(field)) return;
+  const row = cell.getRow();
+  const d = row.getData();
+  const change = { Status_By: el("workflowUser").value.trim(), Status_DT: wallClock() };
+  if (field === "Counted_Qty"){
+    const qty = parseNumberCell(cell.getValue());
+    change.Counted_Qty = Number.isFinite(qty) ? qty : null;
+    if (change.Counted_Qty !== null && ["Open", "Checked backroom"].includes(d.Status)) change.Status = "Counted";
+  }
+  if (field === "Note") change.Note = String(cell.getValue() ?? "").trim();
+  if (change.Status || field === "Status" || !d.Status_Expectation) change.Status_Expectation = d.Expectation || null;
+  row.update(change);
+
+  const saved = row.getData();
+  workflow[saved.Key] = Object.fromEntries(WORKFLOW_FIELDS.map(f => [f, saved[f] ?? null]));
+  const r = resultRows.find(x => x.Key === saved.Key);
+  if (r && r !== saved) Object.assign(r, workflow[saved.Key]);
+  saveWorkflow();
+  renderAccuracy();
+}
+
+/** Merge the progress columns of a Gap Scan Excel export (e.g. from the previous shift) */
+async function importWorkflow(file){
+  try{
+    const { entries, skipped } = workflowFromRows(await readWorkbookAsObjects(file));
+    const res = mergeWorkflow(workflow, entries);
+    workflow = res.entries;
+    saveWorkflow();
+    applyWorkflow(resultRows, workflow);
+    table.blockRedraw();
+    for (const row of table.getRows()){
+      const e = workflow[row.getData().Key];
+      if (e) row.update(e);
+    }
+    table.restoreRedraw();
+    renderAccuracy();
+    setStatus(`Progress imported from ${file.name}: ${res.added} new, ${res.updated} updated, `
+      + `${res.kept} unchanged (the saved entry was as new or newer)`
+      + (skipped ? `, ${skipped} row(s) with an unknown status skipped.` : "."));
+  }catch(err){
+    alert(`Could not import progress:\n\n${err.message || err}`);
+  }
+}
+
+/** Found rate per Expectation over every item with saved progress, in this browser */
+function renderAccuracy(){
+  const entries = Object.values(workflow);
+  const report = accuracyReport(entries);
+  const pct = (v) => Number.isFinite(v) ? `${(v * 100).toFixed(0)}%` : "–";
+  el("accuracyTable").querySelector("tbody").innerHTML = report.map(l =>
+    `<tr><td>${escapeHtml(l.Expectation)}</td><td class="num">${l.Settled}</td><td class="num">${l.Found}</td>`
+    + `<td class="num">${l.Missing}</td><td class="num">${pct(l.Found_Rate)}</td><td class="num">${l.In_Progress}</td></tr>`).join("");
+  const settled = report.reduce((a, l) => a + l.Settled, 0);
+  el("accuracyHint").textContent = entries.length
+    ? `${entries.length.toLocaleString()} item(s) with progress, ${settled.toLocaleString()} settled.`
+    : "No progress yet: set a Status in the decision list.";
+}
+
+const RUN_DB = "gapScan";
+const RUN_DB_VERSION = 1;
+
+/** Saved runs live in IndexedDB: "runs" holds the small header shown in History, "runData" the rows */
+function openRunDb(){
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(RUN_DB, RUN_DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains("runs")) db.createObjectStore("runs", { keyPath:"id", autoIncrement:true });
+      if (!db.objectStoreNames.contains("runData")) db.createObjectStore("runData", { keyPath:"id" });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/** Run fn(stores...) in one transaction; resolves with the value of the last request once it commits */
+async function runDbTx(mode, names, fn){
+  const db = await openRunDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(names, mode);
+    let last = null;
+    const req = fn(...names.map(n => tx.objectStore(n)));
+    if (req) req.onsuccess = () => { last = req.result; };
+    tx.oncomplete = () => { db.close(); resolve(last); };
+    tx.onerror = () => { db.close(); reject(tx.error); };
+    tx.onabort = () => { db.close(); reject(tx.error || new Error("Saving the run was aborted.")); };
+  });
+}
+
+async function saveRun(header, data){
+  const db = await openRunDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(["runs", "runData"], "readwrite");
+    let id = null;
+    tx.objectStore("runs").add(header).onsuccess = (e) => {
+      id = e.target.result;
+      tx.objectStore("runData").put({ ...data, id });
+    };
+    tx.oncomplete = () => { db.close(); resolve(id); };
+    tx.onerror = () => { db.close(); reject(tx.error); };
+    tx.onabort = () => { db.close(); reject(tx.error || new Error("Saving the run was aborted (storage full?).")); };
+  });
+}
+
+const listRuns = () => runDbTx("readonly", ["runs"], (runs) => runs.getAll());
+const loadRunData = (id) => runDbTx("readonly", ["runData"], (data) => data.get(id));
+const deleteRun = (id) => runDbTx("readwrite", ["runs", "runData"], (runs, data) => { runs.delete(id); data.delete(id); });
+
+/**
+ * SHA-256 of a source file, so a saved run records exactly which export it came from.
+ * Files over 64 MB hash the first and last 8 MB plus the size instead (partial: true).
+ */
+async function fileFingerprint(file){
+  const info = { name: file.name, size: file.size, lastModified: file.lastModified, sha256: "", partial: false };
+  if (!globalThis.crypto?.subtle) return info;
+  const LIMIT = 64 * 1024 * 1024, SLICE = 8 * 1024 * 1024;
+  let buf;
+  if (file.size <= LIMIT){
+    buf = await file.arrayBuffer();
+  } else {
+    info.partial = true;
+    buf = await new Blob([file.slice(0, SLICE), file.slice(file.size - SLICE), String(file.size)]).arrayBuffer();
+  }
+  const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", buf));
+  info.sha256 = [...digest].map(b => b.toString(16).padStart(2, "0")).join("");
+  return info;
+}
+
+/** Store a finished run with its settings and file fingerprints; failures only warn */
+async function storeRun(res, settings, files){
+  try{
+    const sources = [];
+    for (const [role, list] of Object.entries(files)){
+      for (const f of [].concat(list || [])) sources.push({ role, ...(await fileFingerprint(f)) });
+    }
+    const byExpectation = {};
+    for (const r of res.rows) byExpectation[r.Expectation] = (byExpectation[r.Expectation] || 0) + 1;
+    const header = {
+      createdAt: new Date(),
+      settings: {
+        matPad: settings.matPad, slocPad: settings.slocPad, tol: settings.tol, asOfInput: settings.asOfInput,
+        shrinkWindow: settings.shrinkWindow, dateFormat: settings.dateFormat, decimalFormat: settings.decimalFormat,
+        profile: settings.profile.name, defaultRuleSet: settings.defaultRuleSet, sortBy: settings.sortBy,
+      },
+      sources,
+      asOf: res.asOf,
+      asOfSource: res.asOfSource,
+      rowCount: res.rows.length,
+      mismatches: res.rows.filter(r => Math.abs(r.Delta_SAP_minus_Expected || 0) > settings.tol).length,
+      byExpectation,
+    };
+    await saveRun(header, {
+      rows: res.rows, movements: res.movements, gapScan: res.gapScan, dataIssues: res.dataIssues, transfers: res.transfers,
+      replayOnly: res.replayOnly,
     });
+    await renderHistory();
+    return true;
+  }catch(err){
+    console.warn("Could not save the run:", err);
+    return false;
+  }
+}
 
-    resultRows = rows;
+function describeRun(h){
+  const src = (role) => h.sources.filter(s => s.role === role).map(s => s.name).join(", ");
+  return `${formatDate(h.createdAt)} — MB51: ${src("mb51")} | MB5B: ${src("mb5b")}`;
+}
 
-    table.setData(rows);
+async function renderHistory(){
+  let runs = [];
+  try{
+    runs = await listRuns();
+  }catch(err){
+    el("historyHint").textContent = `Saved runs are unavailable in this browser: ${err.message || err}`;
+    return;
+  }
+  runs.sort((a, b) => b.createdAt - a.createdAt);
+
+  const tbody = el("runTable").querySelector("tbody");
+  tbody.innerHTML = "";
+  for (const h of runs){
+    const tr = document.createElement("tr");
+    const files = h.sources.map(s =>
+      `<span title="${escapeHtml(s.role)}, ${s.size.toLocaleString()} bytes, SHA-256 ${escapeHtml(s.sha256 || "n/a")}${s.partial ? " (first/last 8 MB)" : ""}">${escapeHtml(s.name)}</span>`).join(", ");
+    const st = h.settings;
+    const levels = Object.entries(h.byExpectation).map(([k, n]) => `${k} ${n}`).join(", ");
+    tr.innerHTML = `<td>${escapeHtml(formatDate(h.createdAt))}</td><td>${files}</td>`
+      + `<td>Mat pad ${st.matPad}, SLoc pad ${st.slocPad}, tol ${st.tol}${st.asOfInput ? `, as of ${escapeHtml(st.asOfInput)}` : ""}`
+      + `<br><span class="hint">${escapeHtml(st.profile)} / ${escapeHtml(st.defaultRuleSet)}</span></td>`
+      + `<td class="num">${h.rowCount.toLocaleString()}</td><td class="num">${h.mismatches.toLocaleString()}</td>`
+      + `<td>${escapeHtml(levels)}</td><td></td>`;
+    const open = document.createElement("button");
+    open.textContent = "Open";
+    open.addEventListener("click", () => openRun(h));
+    const del = document.createElement("button");
+    del.textContent = "Delete";
+    del.addEventListener("click", async () => {
+      if (!confirm(`Delete the saved run from ${formatDate(h.createdAt)}?`)) return;
+      await deleteRun(h.id);
+      renderHistory();
+    });
+    tr.lastElementChild.append(open, " ", del);
+    tbody.appendChild(tr);
+  }
 
-    populateKeySelect(rows);
-    if (rows.length){
-      el("keySelect").value = rows[0].Key;
-      el("detailText").textContent = buildDetailsText(rows[0]);
+  for (const id of ["compareOlder", "compareNewer"]){
+    const sel = el(id);
+    const prev = sel.value;
+    sel.innerHTML = "";
+    for (const h of runs){
+      const opt = document.createElement("option");
+      opt.value = h.id;
+      opt.textContent = describeRun(h);
+      sel.appendChild(opt);
     }
+    if (runs.some(h => String(h.id) === prev)) sel.value = prev;
+  }
+  if (runs.length > 1 && !el("compareOlder").dataset.touched) el("compareOlder").value = runs[1].id;
+  el("compareBtn").disabled = runs.length < 2;
+  el("historyHint").textContent = runs.length ? "" : "No saved runs yet. Every Run Analysis is saved here.";
+}
+
+async function openRun(h){
+  try{
+    const data = await loadRunData(h.id);
+    if (!data) throw new Error("The saved rows for this run are missing.");
+    showResultRows({ ...data, asOf: h.asOf, tol: h.settings.tol });
+    setStatus(`Showing saved run from ${describeRun(h)} (${h.rowCount.toLocaleString()} rows)`);
+    document.querySelector('.tab[data-tab="list"]').click();
+  }catch(err){
+    console.error(err);
+    alert(`Could not open the saved run:\n\n${err.message || err}`);
+  }
+}
 
-    const mb51Keys = new Set(mb51.map(r => r.Key));
-    const mb5bKeys = new Set(mb5b.map(r => r.Key));
-    let overlap = 0;
-    for (const k of mb51Keys) if (mb5bKeys.has(k)) overlap++;
+const COMPARE_SECTIONS = [
+  ["expectationChanged", "Expectation changed"],
+  ["newMismatches", "New mismatches"],
+  ["resolvedMismatches", "Resolved mismatches"],
+  ["deltaMoved", "Delta moved"],
+];
 
-    el("exportBtn").disabled = rows.length === 0;
-    setStatus(`Done. Keys matched between MB51 and MB5B: ${overlap}`);
+async function compareSelectedRuns(){
+  const olderId = Number(el("compareOlder").value);
+  const newerId = Number(el("compareNewer").value);
+  if (olderId === newerId){
+    el("compareView").innerHTML = `<div class="tip">Pick two different runs.</div>`;
+    return;
+  }
+  try{
+    const runs = await listRuns();
+    const [older, newer] = [olderId, newerId].map(id => runs.find(h => h.id === id));
+    const [o, n] = await Promise.all([loadRunData(olderId), loadRunData(newerId)]);
+    const cmp = compareRuns(o.rows, n.rows, newer.settings.tol);
+
+    const num = (v) => (v === null || v === undefined) ? "" : Number(v).toFixed(2);
+    const parts = [`<div class="tip">Comparing ${escapeHtml(describeRun(older))} → ${escapeHtml(describeRun(newer))}. `
+      + `Mismatch = |SAP − Expected| > ${newer.settings.tol}. Keys only in the older run: ${cmp.onlyOlder}; only in the newer run: ${cmp.onlyNewer}.</div>`];
+    for (const [k, title] of COMPARE_SECTIONS){
+      const list = cmp[k];
+      parts.push(`<h3 class="section-title">${title} (${list.length})</h3>`);
+      if (!list.length) continue;
+      const body = list.map(e => `<tr><td>${escapeHtml(e.Key)}</td><td>${escapeHtml(e["Material Description"])}</td>`
+        + `<td>${escapeHtml(e.Old_Expectation)}</td><td>${escapeHtml(e.New_Expectation)}</td>`
+        + `<td class="num">${num(e.Old_Delta)}</td><td class="num">${num(e.New_Delta)}</td><td class="num">${num(e.Delta_Change)}</td></tr>`).join("");
+      parts.push(`<table class="ledger-table"><thead><tr><th>Key</th><th>Description</th><th>Old expectation</th><th>New expectation</th>`
+        + `<th class="num">Old delta</th><th class="num">New delta</th><th class="num">Change</th></tr></thead><tbody>${body}</tbody></table>`);
+    }
+    el("compareView").innerHTML = parts.join("");
   }catch(err){
     console.error(err);
-    setStatus(`Error: ${err.message || err}`);
-    alert(`Error:\n\n${err.message || err}`);
+    alert(`Could not compare runs:\n\n${err.message || err}`);
   }
 }
 
-function exportExcel(){
-  if (!resultRows.length) return;
+function initHistory(){
+  el("compareOlder").addEventListener("change", () => { el("compareOlder").dataset.touched = "1"; });
+  el("compareBtn").addEventListener("click", compareSelectedRuns);
+  if (!window.indexedDB){
+    el("historyHint").textContent = "This browser has no IndexedDB, so runs cannot be saved.";
+    return;
+  }
+  renderHistory();
+}
 
-  const exportCols = [
-    "Plant", "Material", "Storage Location", "Material Description",
-    "SAP_SOH_MB5B", "Expected_SOH_MB51", "Delta_SAP_minus_Expected",
-    "Expectation", "Summary",
-    "LastCount_DT", "LastCount_Qty",
-    "LastSale_DT", "LastSale_Qty",
-    "LastReceipt_DT", "LastReceipt_Qty",
-    "Loss702_Sum"
-  ];
+/** Show the update bar for a newer build that is installed and waiting */
+function offerUpdate(worker){
+  waitingWorker = worker;
+  const ch = new MessageChannel();
+  ch.port1.onmessage = (e) => { el("updateText").textContent = `Version ${e.data} is available (you have ${APP_VERSION}).`; };
+  worker.postMessage({ type:"version" }, [ch.port2]);
+  el("updateBar").hidden = false;
+}
 
-  const out = resultRows.map(r => {
-    const obj = {};
-    for (const c of exportCols){
-      if (c.endsWith("_DT")) obj[c] = r[c] ? formatDate(r[c]) : "";
-      else obj[c] = (r[c] ?? "");
-    }
-    return obj;
+/**
+ * Version in the header, and the service worker that caches the app for offline use
+ * and installing. Service workers need http(s): opened from file:// the app still
+ * works, only without the offline cache.
+ */
+function initOffline(){
+  el("appVersion").textContent = `v${APP_VERSION}`;
+  el("updateLaterBtn").addEventListener("click", () => { el("updateBar").hidden = true; });
+  el("updateBtn").addEventListener("click", () => {
+    if (!waitingWorker) return;
+    if (activeRun && !confirm("An analysis is running and will be stopped. Update now?")) return;
+    updateAccepted = true;
+    waitingWorker.postMessage({ type:"skipWaiting" });
   });
+  if (!("serviceWorker" in navigator) || !/^https?:$/.test(location.protocol)){
+    el("appBadge").title += " Serve it over http(s) to keep it working offline.";
+    return;
+  }
 
-  const ws = XLSX.utils.json_to_sheet(out);
-  const wb = XLSX.utils.book_new();
-  XLSX.utils.book_append_sheet(wb, ws, "GapScan");
-  XLSX.writeFile(wb, "gap_scan_results.xlsx");
+  // the new build took over: reload into it (only when the user asked, not on the first install)
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (updateAccepted) location.reload();
+  });
+  navigator.serviceWorker.register("./sw.js").then(reg => {
+    if (reg.waiting && navigator.serviceWorker.controller) offerUpdate(reg.waiting);
+    reg.addEventListener("updatefound", () => {
+      const w = reg.installing;
+      w.addEventListener("statechange", () => {
+        if (w.state === "installed" && navigator.serviceWorker.controller) offerUpdate(w);
+      });
+    });
+    // a tab left open for a whole shift still hears about new builds
+    document.addEventListener("visibilitychange", () => {
+      if (document.visibilityState === "visible") reg.update().catch(() => {});
+    });
+  }).catch(err => {
+    console.warn("Service worker registration failed, no offline use:", err);
+  });
 }
 
 function init(){
+  initOffline();
   initTabs();
   initTable();
+  initMovementTable();
+  initProfileEditor();
+  initRuleEditor();
+  initHistory();
 
   el("mb51File").addEventListener("change", (e) => {
-    mb51File = e.target.files?.[0] || null;
-    el("mb51Hint").textContent = mb51File ? `Loaded: ${mb51File.name}` : "No file loaded.";
+    mb51Files = [...(e.target.files || [])];
+    el("mb51Hint").textContent = mb51Files.length
+      ? `Loaded: ${mb51Files.map(f => f.name).join(", ")}`
+      : "No file loaded.";
     setStatus("MB51 selected. Load MB5B and run analysis.");
   });
 
+  el("uomFile").addEventListener("change", (e) => {
+    uomFile = e.target.files?.[0] || null;
+    el("uomHint").textContent = uomFile ? `Loaded: ${uomFile.name}` : "No file loaded.";
+  });
+
+  el("priceFile").addEventListener("change", (e) => {
+    priceFile = e.target.files?.[0] || null;
+    el("priceHint").textContent = priceFile ? `Loaded: ${priceFile.name}` : "No file loaded.";
+  });
+
+  el("gapScanFile").addEventListener("change", (e) => {
+    gapScanFile = e.target.files?.[0] || null;
+    el("gapScanHint").textContent = gapScanFile ? `Loaded: ${gapScanFile.name}` : "No file loaded.";
+  });
+  el("masterFile").addEventListener("change", (e) => {
+    masterFile = e.target.files?.[0] || null;
+    el("masterHint").textContent = masterFile ? `Loaded: ${masterFile.name}` : "No file loaded.";
+  });
+  el("eanMapFile").addEventListener("change", (e) => {
+    eanMapFile = e.target.files?.[0] || null;
+    el("eanMapHint").textContent = eanMapFile ? `Loaded: ${eanMapFile.name}` : "No file loaded.";
+  });
+  el("gapOnly").addEventListener("change", applyGapFilter);
+  renderGapScanResult(null);
+
+  for (const [id, options] of [["dateFormat", DATE_FORMATS], ["decimalFormat", DECIMAL_FORMATS]]){
+    for (const [k, label] of Object.entries(options)){
+      const opt = document.createElement("option");
+      opt.value = k;
+      opt.textContent = label;
+      el(id).appendChild(opt);
+    }
+  }
+
+  for (const [k, label] of Object.entries(SORT_OPTIONS)){
+    const opt = document.createElement("option");
+    opt.value = k;
+    opt.textContent = label;
+    el("sortBy").appendChild(opt);
+  }
+  el("sortBy").addEventListener("change", () => {
+    if (!resultRows.length) return;
+    sortDecisionList(resultRows, el("sortBy").value);
+    table.setData(resultRows);
+  });
+
+  el("countValueMin").addEventListener("change", () => {
+    const r = resultRows.find(x => x.Key === detailKey);
+    if (r) showDetails(r);
+  });
+
   el("mb5bFile").addEventListener("change", (e) => {
     mb5bFile = e.target.files?.[0] || null;
     el("mb5bHint").textContent = mb5bFile ? `Loaded: ${mb5bFile.name}` : "No file loaded.";
     setStatus("MB5B selected. Load MB51 and run analysis.");
   });
 
+  for (const [k, g] of Object.entries(LIST_GROUPS)){
+    const opt = document.createElement("option");
+    opt.value = k;
+    opt.textContent = g.label;
+    el("groupBy").appendChild(opt);
+  }
+  el("groupBy").addEventListener("change", () => table.setGroupBy(LIST_GROUPS[el("groupBy").value].by));
+  el("listCards").addEventListener("click", (e) => {
+    const card = e.target.closest("[data-level]");
+    if (!card) return;
+    const level = card.dataset.level;
+    table.setHeaderFilterValue("Expectation", table.getHeaderFilterValue("Expectation") === level ? "" : level);
+  });
+  el("plantView").addEventListener("click", (e) => {
+    const tr = e.target.closest("tr[data-key]");
+    const row = tr && tr.dataset.key !== detailKey && resultRows.find(x => x.Key === tr.dataset.key);
+    if (row) showDetails(row); // MB51-only locations have no row of their own
+  });
+  workflow = loadWorkflow();
+  renderAccuracy();
+  el("workflowUser").value = localStorage.getItem(LS_WORKFLOW_USER) || "";
+  el("workflowUser").addEventListener("change", () => localStorage.setItem(LS_WORKFLOW_USER, el("workflowUser").value.trim()));
+  el("workflowImportBtn").addEventListener("click", () => el("workflowImportFile").click());
+  el("workflowImportFile").addEventListener("change", (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (file) importWorkflow(file);
+  });
+  initColumnChooser();
+  initItemPicker();
+  el("prevItemBtn").addEventListener("click", () => stepItem(-1));
+  el("nextItemBtn").addEventListener("click", () => stepItem(1));
+  for (const id of ["mvtFilter", "mvtFrom", "mvtTo"]) el(id).addEventListener("change", applyMovementFilter);
+  el("mvtFilterClearBtn").addEventListener("click", () => {
+    el("mvtFilter").value = "";
+    el("mvtFrom").value = "";
+    el("mvtTo").value = "";
+    applyMovementFilter();
+  });
+
   el("runBtn").addEventListener("click", runAnalysis);
+  el("cancelBtn").addEventListener("click", () => { if (activeRun) activeRun.cancel(); });
   el("exportBtn").addEventListener("click", exportExcel);
+  el("piCsvBtn").addEventListener("click", exportPiUpload);
+  el("printCountBtn").addEventListener("click", printCountSheet);
 }
 
 init();
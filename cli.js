@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+/*
+ * Headless gap scan analysis: the browser's run (core.js runPipeline) on files from disk.
+ *   gap-scan --mb51 a.xlsx [--mb51 b.csv] --mb5b b.xlsx --mat-pad 18 --out results.xlsx|json|csv
+ * Progress and the run summary go to stderr; exit code 1 on a failed run, 2 on bad arguments.
+ */
+const fs = require("node:fs");
+const path = require("node:path");
+const { parseArgs } = require("node:util");
+const XLSX = require("xlsx");
+const core = require("./core.js");
+
+const USAGE = `Usage: gap-scan --mb51 <file> [--mb51 <file>...] --mb5b <file> --out <results.xlsx|.json|.csv> [options]
+
+Inputs (xlsx, xls, csv or txt):
+  --mb51 <file>            MB51 movements; repeat for several exports
+  --mb5b <file>            MB5B stock on posting date
+  --prices <file>          price list (value at risk)
+  --uom <file>             UoM conversions (MARM)
+  --gap-scan <file>        gap-scan list; output is then limited to scanned gaps
+  --ean-map <file>         EAN to material mapping for the gap scans
+  --master <file>          material master (EAN, category, department, vendor, aisle)
+
+Settings (defaults as in the browser):
+  --mat-pad <n>            material padding: 0, 10, 12 or 18 (0)
+  --sloc-pad <n>           storage location padding (4)
+  --tol <qty>              mismatch tolerance (0.5)
+  --shrink-window <days>   days of count cycles in the repeat shrink metrics (365)
+  --as-of <yyyy-mm-dd>     replay MB51 up to this date (MB5B "Stock on" date)
+  --date-format <fmt>      ${Object.keys(core.DATE_FORMATS).join(", ")} (auto)
+  --decimal-format <fmt>   ${Object.keys(core.DECIMAL_FORMATS).join(", ")} (auto)
+  --sort <order>           ${Object.keys(core.SORT_OPTIONS).join(", ")} (default)
+  --profile <json>         movement type profile exported from the browser
+  --rules <json>           rule sets and their plant/prefix assignments exported from the browser
+  --rule-set <name>        rule set for unassigned items (the one active in --rules, else the first)
+  --mapping <json>         MB51 column mapping { field: source header } for unrecognised headers
+  --all-rows               with --gap-scan, keep every row instead of only scanned gaps
+  --quiet                  no progress output
+  -h, --help               this text
+`;
+
+class UsageError extends Error {}
+
+/** Disk file as a File, so core.js reads it exactly as it reads a browser upload */
+async function openFile(p){
+  if (!p) return null;
+  if (!fs.existsSync(p)) throw new UsageError(`File not found: ${p}`);
+  return new File([await fs.openAsBlob(p)], path.basename(p));
+}
+
+function readJson(p, what){
+  try{
+    return JSON.parse(fs.readFileSync(p, "utf8"));
+  }catch(err){
+    throw new UsageError(`Cannot read ${what} ${p}: ${err.message}`);
+  }
+}
+
+/** The one profile in a profile file (the browser exports one or a list) */
+function loadProfile(p){
+  if (!p) return core.validateProfile(core.DEFAULT_MVT_PROFILE);
+  const data = readJson(p, "profile");
+  return core.validateProfile(Array.isArray(data) ? data[0] : data);
+}
+
+/** { ruleSets, defaultRuleSet, ruleAssignments } from a rules file, else the built-in rule set */
+function loadRules(p){
+  if (!p) return core.parseRulesFile(core.DEFAULT_RULE_SET);
+  try{
+    return core.parseRulesFile(readJson(p, "rules"));
+  }catch(err){
+    if (err instanceof UsageError) throw err;
+    throw new UsageError(`Rules file ${p}: ${err.message}`);
+  }
+}
+
+function choice(value, options, flag){
+  if (!(value in options)) throw new UsageError(`${flag} must be one of: ${Object.keys(options).join(", ")}`);
+  return value;
+}
+
+function number(value, flag){
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) throw new UsageError(`${flag} must be a number ≥ 0`);
+  return n;
+}
+
+function parseCommandLine(argv){
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      "mb51": { type:"string", multiple:true },
+      "mb5b": { type:"string" },
+      "prices": { type:"string" },
+      "uom": { type:"string" },
+      "gap-scan": { type:"string" },
+      "ean-map": { type:"string" },
+      "master": { type:"string" },
+      "mat-pad": { type:"string", default:"0" },
+      "sloc-pad": { type:"string", default:"4" },
+      "tol": { type:"string", default:"0.5" },
+      "shrink-window": { type:"string", default:"365" },
+      "as-of": { type:"string", default:"" },
+      "date-format": { type:"string", default:"auto" },
+      "decimal-format": { type:"string", default:"auto" },
+      "sort": { type:"string", default:"default" },
+      "profile": { type:"string" },
+      "rules": { type:"string" },
+      "rule-set": { type:"string" },
+      "mapping": { type:"string" },
+      "all-rows": { type:"boolean", default:false },
+      "out": { type:"string" },
+      "quiet": { type:"boolean", default:false },
+      "help": { type:"boolean", short:"h", default:false },
+    },
+  });
+  if (values.help) return { help:true };
+  if (!values.mb51 || !values.mb5b) throw new UsageError("--mb51 and --mb5b are required.");
+  if (!values.out) throw new UsageError("--out is required.");
+  if (!/\.(xlsx|json|csv)$/i.test(values.out)) throw new UsageError("--out must end in .xlsx, .json or .csv.");
+  if (values["ean-map"] && !values["gap-scan"]) throw new UsageError("--ean-map needs --gap-scan.");
+  if (values["as-of"] && !/^\d{4}-\d{2}-\d{2}$/.test(values["as-of"])) throw new UsageError("--as-of must be yyyy-mm-dd.");
+  return values;
+}
+
+/** Same settings object the browser builds in runAnalysis */
+function buildSettings(values){
+  const { ruleSets, defaultRuleSet, ruleAssignments } = loadRules(values.rules);
+  if (values["rule-set"] && !ruleSets.some(r => r.name === values["rule-set"])){
+    throw new UsageError(`No rule set named "${values["rule-set"]}" in ${values.rules || "the defaults"}.`);
+  }
+  return {
+    matPad: number(values["mat-pad"], "--mat-pad"),
+    slocPad: number(values["sloc-pad"], "--sloc-pad"),
+    dateFormat: choice(values["date-format"], core.DATE_FORMATS, "--date-format"),
+    decimalFormat: choice(values["decimal-format"], core.DECIMAL_FORMATS, "--decimal-format"),
+    tol: number(values.tol, "--tol"),
+    shrinkWindow: number(values["shrink-window"], "--shrink-window") || 365,
+    asOfInput: values["as-of"],
+    profile: loadProfile(values.profile),
+    ruleSets,
+    defaultRuleSet: values["rule-set"] || defaultRuleSet,
+    ruleAssignments,
+    sortBy: choice(values.sort, core.SORT_OPTIONS, "--sort"),
+  };
+}
+
+/** MB51 mapping hook: aliases, else the --mapping file, else fail with the headers found */
+function mappingHook(mappingFile){
+  const saved = mappingFile ? readJson(mappingFile, "mapping") : null;
+  return async (headers, fileName) => {
+    try{
+      return core.autoMb51Mapping(headers);
+    }catch(err){
+      if (saved && Object.values(saved).every(h => headers.includes(h))) return saved;
+      throw new Error(`${fileName}: ${err.message}. Headers found: ${headers.join(", ")}. Pass --mapping with { field: header }.`);
+    }
+  };
+}
+
+function writeOutput(out, rows, res, settings){
+  const ext = path.extname(out).toLowerCase();
+  if (ext === ".json"){
+    fs.writeFileSync(out, JSON.stringify(rows, null, 2));
+  } else if (ext === ".csv"){
+    fs.writeFileSync(out, XLSX.utils.sheet_to_csv(core.sheetFromRows(rows, core.EXPORT_COLUMNS)));
+  } else {
+    const { wb, ledgerTruncated } = core.buildResultWorkbook(rows, {
+      movements: res.movements, profile: settings.profile, asOf: res.asOf, tol: settings.tol,
+    });
+    XLSX.writeFile(wb, out);
+    if (ledgerTruncated) console.error("Note: the Ledger sheet was cut at Excel's row limit.");
+  }
+}
+
+async function main(argv){
+  const values = parseCommandLine(argv);
+  if (values.help){
+    process.stdout.write(USAGE);
+    return;
+  }
+  const settings = buildSettings(values);
+  const files = {
+    mb51: await Promise.all(values.mb51.map(openFile)),
+    mb5b: await openFile(values.mb5b),
+    prices: await openFile(values.prices),
+    uom: await openFile(values.uom),
+    gapScan: await openFile(values["gap-scan"]),
+    eanMap: await openFile(values["ean-map"]),
+    master: await openFile(values.master),
+  };
+
+  const res = await core.runPipeline(files, settings, {
+    progress: values.quiet ? () => {} : (text) => console.error(text),
+    mapping: mappingHook(values.mapping),
+  });
+
+  const rows = res.gapScan && !values["all-rows"] ? res.rows.filter(r => r.Gap_Scan) : res.rows;
+  writeOutput(values.out, rows, res, settings);
+
+  const flagged = res.dataIssues.filter(i => i.count);
+  console.error([
+    `Done. MB51 rows: ${res.mb51Count.toLocaleString()}`,
+    `Keys matched between MB51 and MB5B: ${res.overlap}`,
+    res.asOf ? `Replay as of ${core.formatDate(res.asOf).slice(0,10)} (${res.asOfSource})` : "",
+    res.masterCount ? `Material master covers ${res.masterMatched} of ${res.rows.length} items` : "",
+    res.gapScan ? `Gap scans: ${res.gapScan.scans} matched ${res.gapScan.matchedRows} items, ${res.gapScan.unresolved.length} unresolved` : "",
+    flagged.length ? `Data issues: ${flagged.map(i => `${i.title} ${i.count}`).join(", ")}` : "",
+    `${rows.length.toLocaleString()} rows written to ${values.out}`,
+  ].filter(Boolean).join(" | "));
+}
+
+if (require.main === module){
+  main(process.argv.slice(2)).catch(err => {
+    const usage = err instanceof UsageError || String(err.code).startsWith("ERR_PARSE_ARGS");
+    console.error(err.message || String(err));
+    if (usage) console.error(`\n${USAGE}`);
+    process.exitCode = usage ? 2 : 1;
+  });
+}
+
+module.exports = { main };
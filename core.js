@@ -0,0 +1,2720 @@
+/* global XLSX */
+/*
+ * Gap scan analysis core: file reading, parsing, cleaning and metrics with no DOM access.
+ * Loaded as a plain script by index.html (details, ledger, export, fallback run) and by worker.js (the run itself),
+ * and as a CommonJS module by cli.js and the tests (see the exports at the end).
+ */
+
+const MB51_REQUIRED = [
+  "Plant", "Material", "Material Description", "Storage Location",
+  "Movement Type", "Movement Type Text", "Posting Date", "Time of Entry",
+  "Qty in unit of entry",
+];
+
+/** MB51 fields that may be left unmapped (the analysis still works without them) */
+const MB51_OPTIONAL = new Set(["Material Description", "Movement Type Text", "Time of Entry"]);
+
+/**
+ * Known header spellings per MB51 field: EN/DE/FR/ES logon languages, common ALV
+ * renames and the technical field names. Matching ignores case, accents and punctuation.
+ */
+const MB51_ALIASES = {
+  "Plant": ["Plant", "Werk", "Division", "Centro", "WERKS"],
+  "Material": ["Material", "Material Number", "Article", "Artikel", "Materialnummer", "Numéro d'article", "MATNR"],
+  "Material Description": [
+    "Material Description", "Material Short Text", "Materialkurztext", "Materialbezeichnung",
+    "Désignation article", "Texte court article", "Texto breve de material", "Descripción de material", "MAKTX",
+  ],
+  "Storage Location": ["Storage Location", "SLoc", "Stor. Location", "Lagerort", "LOrt", "Magasin", "Almacén", "Alm.", "LGORT"],
+  "Movement Type": ["Movement Type", "MvT", "Bewegungsart", "BwA", "Type de mouvement", "TyM", "Clase de movimiento", "CMv", "BWART"],
+  "Movement Type Text": [
+    "Movement Type Text", "Mvt Type Text", "Bewegungsartentext", "Text Bewegungsart",
+    "Texte type de mouvement", "Texto clase de movimiento", "Texto clase-movimiento", "BTEXT",
+  ],
+  "Posting Date": [
+    "Posting Date", "Pstng Date", "Buchungsdatum", "Buch.dat.", "Date comptable", "Date de comptabilisation",
+    "Fecha de contabilización", "Fe.contab.", "BUDAT",
+  ],
+  "Time of Entry": ["Time of Entry", "Entry Time", "Erfassungsuhrzeit", "Uhrzeit", "Heure de saisie", "Hora de entrada", "CPUTM"],
+  "Qty in unit of entry": [
+    "Qty in unit of entry", "Quantity in unit of entry", "Qty in UnE", "Menge in Erfassungsmengeneinheit", "Menge in ErfME",
+    "Quantité en unité de saisie", "Qté en unité de saisie", "Cantidad en UM de entrada", "Ctd.en UM entrada", "ERFMG",
+  ],
+};
+
+/**
+ * Document of the posting a reversal cancels (MSEG-SMBLN; optional, never prompted for). When MB51
+ * has it, a reversal is paired with that document's posting rather than the latest equal one.
+ */
+const MB51_REVERSED_DOC_ALIASES = {
+  "Reversed Document": ["Reversed Mat. Doc.", "Original Material Document", "Orig. Mat. Doc.", "Stornierter Materialbeleg", "SMBLN"],
+};
+
+/** Material document id columns (optional, never prompted for): used to drop rows repeated across MB51 slices */
+const MB51_DOC_ALIASES = {
+  "Material Document": ["Material Doc.", "Mat. Doc.", "Materialbeleg", "Document d'article", "Doc. article", "Documento material", "Doc.mat.", "MBLNR"],
+  "Material Doc. Year": [
+    "Material Document Year", "Mat. Doc. Year", "MatDocYr", "Materialbelegjahr", "Jahr Materialbeleg",
+    "Exercice doc. article", "Ejercicio doc.material", "Ejercicio documento material", "MJAHR",
+  ],
+  "Material Doc. Item": [
+    "Material Document Item", "Mat. Doc. Item", "Item", "Position im Materialbeleg", "Materialbelegposition", "Pos.",
+    "Poste doc. article", "Posición doc.mat.", "Posición documento material", "ZEILE",
+  ],
+};
+
+/**
+ * MB51 unit columns (optional, never prompted for). When the base-unit quantity is present it
+ * is replayed instead of the entry quantity, since MB5B reports stock in the base unit.
+ */
+const MB51_UNIT_ALIASES = {
+  "Unit of Entry": ["Entry Unit", "UnE", "Erfassungsmengeneinheit", "ErfME", "Unité de saisie", "UM de entrada", "UM entrada", "ERFME"],
+  // only headers that cannot mean the entry quantity: a bare "Quantity"/"Menge" is left alone
+  "Qty in Base UoM": ["Qty in Base Unit", "Quantity in Base Unit", "Qty in BUn", "Menge in BME", "Qté en UQB", "Cantidad en UMB", "MENGE"],
+  "Base Unit of Measure": ["Base Unit", "BUn", "Base UoM", "Basismengeneinheit", "BME", "Unité de quantité de base", "UQB", "Unidad medida base", "UMB", "MEINS"],
+};
+
+/** Movement-type classes a profile can assign (key -> label shown in the editor) */
+const MVT_CLASSES = {
+  sale: "Sale / consumption",
+  receipt: "Receipt",
+  count_gain: "Count gain",
+  count_loss: "Count loss",
+  transfer: "Transfer",
+  reversal: "Reversal of…",
+};
+
+/** Built-in profile: the classic retail set, transfers within a plant and the standard reversals */
+const DEFAULT_MVT_PROFILE = {
+  name: "Standard retail",
+  types: [
+    { mvt:"101", cls:"receipt" },
+    { mvt:"102", cls:"reversal", of:"101" },
+    { mvt:"251", cls:"sale" },
+    { mvt:"252", cls:"reversal", of:"251" },
+    { mvt:"601", cls:"sale" },
+    { mvt:"602", cls:"reversal", of:"601" },
+    { mvt:"701", cls:"count_gain" },
+    { mvt:"702", cls:"count_loss" },
+    { mvt:"311", cls:"transfer" },
+    { mvt:"312", cls:"reversal", of:"311" },
+    { mvt:"313", cls:"transfer" },
+    { mvt:"314", cls:"reversal", of:"313" },
+    { mvt:"315", cls:"transfer" },
+    { mvt:"316", cls:"reversal", of:"315" },
+  ],
+};
+
+function normIntish(x){
+  if (x === null || x === undefined) return "";
+  let s = String(x).trim();
+  if (/^\d+\.0$/.test(s)) s = s.split(".")[0];
+  return s.trim();
+}
+
+function zfill(s, n){
+  s = String(s);
+  return s.length >= n ? s : "0".repeat(n - s.length) + s;
+}
+
+function normMaterial(x, padTo=0){
+  const s = normIntish(x);
+  if (padTo && /^\d+$/.test(s)) return zfill(s, padTo);
+  return s;
+}
+
+function normSloc(x, padTo=4){
+  const s = normIntish(x);
+  if (padTo && /^\d+$/.test(s)) return zfill(s, padTo);
+  return s;
+}
+
+/** German internal spellings that SAP shows for the same unit in other logon languages */
+const UNIT_SYNONYMS = { ST:"PC", STK:"PC", KAR:"CAR" };
+
+function normUnit(x){
+  const u = String(x ?? "").trim().toUpperCase();
+  return UNIT_SYNONYMS[u] || u;
+}
+
+function makeKey(plant, material, sloc){
+  return `${plant}|${material}|${sloc}`;
+}
+
+/** Date and decimal formats offered in the UI; "auto" samples each file */
+const DATE_FORMATS = {
+  auto: "Auto-detect",
+  DMY: "Day first (31.12.2025, 31/12/2025)",
+  MDY: "Month first (12/31/2025)",
+  YMD: "Year first (2025-12-31)",
+};
+const DECIMAL_FORMATS = {
+  auto: "Auto-detect",
+  dot: "Decimal point (1,234.56)",
+  comma: "Decimal comma (1.234,56)",
+};
+
+function isBlankCell(v){
+  return v === null || v === undefined || String(v).trim() === "";
+}
+
+/**
+ * Number cell -> number, null when blank, NaN when it cannot be read. Accepts SAP's
+ * trailing minus ("5-"), parentheses, spaces/apostrophes as group separators and
+ * either decimal format ("dot": 1,234.5 / "comma": 1.234,5).
+ */
+function parseNumberCell(v, decimal="dot"){
+  if (isBlankCell(v)) return null;
+  if (typeof v === "number") return Number.isFinite(v) ? v : NaN;
+  let s = String(v).trim().replace(/[\s']/g, "");
+  let neg = false;
+  if (/^\(.*\)$/.test(s)){ neg = true; s = s.slice(1, -1); }
+  if (s.endsWith("-")){ neg = !neg; s = s.slice(0, -1); }
+  else if (s.startsWith("-")){ neg = !neg; s = s.slice(1); }
+  else if (s.startsWith("+")) s = s.slice(1);
+  s = (decimal === "comma") ? s.replace(/\./g, "").replace(",", ".") : s.replace(/,/g, "");
+  if (!/^(\d+\.?\d*|\.\d+)$/.test(s)) return NaN;
+  const n = Number(s);
+  return neg ? -n : n;
+}
+
+function safeNumber(x, decimal="dot"){
+  const n = parseNumberCell(x, decimal);
+  return Number.isFinite(n) ? n : 0.0;
+}
+
+/**
+ * Guess the decimal format from sample cells. Values with both separators decide by the
+ * last one; a single separator followed by exactly three digits ("1.234") is ambiguous
+ * and does not vote. Returns { format, sure }.
+ */
+function detectDecimalFormat(values){
+  let dot = 0, comma = 0;
+  for (const v of values){
+    if (typeof v !== "string") continue;
+    const s = v.trim().replace(/[\s']/g, "").replace(/^[-+(]|[-)]$/g, "");
+    if (!/^\d[\d.,]*$/.test(s)) continue;
+    const lastDot = s.lastIndexOf("."), lastComma = s.lastIndexOf(",");
+    if (lastDot >= 0 && lastComma >= 0){
+      if (lastComma > lastDot) comma++; else dot++;
+      continue;
+    }
+    const sep = (lastDot >= 0) ? "." : (lastComma >= 0) ? "," : "";
+    if (!sep) continue;
+    const parts = s.split(sep);
+    if (parts.length > 2){ if (sep === ".") comma++; else dot++; continue; } // repeated = grouping
+    if (parts[1].length === 3) continue;
+    if (sep === ".") dot++; else comma++;
+  }
+  return { format: (comma > dot) ? "comma" : "dot", sure: (comma + dot) > 0 };
+}
+
+const DATE_TEXT_RE = /^(\d{1,4})([./-])(\d{1,2})\2(\d{1,4})(?:[ T,]+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/;
+
+/**
+ * Guess day/month order from sample date strings: a first part above 12 means day first,
+ * a second part above 12 month first. Undecided samples assume day first (SAP's usual
+ * dd.mm.yyyy). Returns { format, sure }.
+ */
+function detectDateOrder(values){
+  let dmy = 0, mdy = 0, ymd = 0;
+  for (const v of values){
+    if (typeof v !== "string") continue;
+    const m = v.trim().match(DATE_TEXT_RE);
+    if (!m) continue;
+    if (m[1].length === 4){ ymd++; continue; }
+    if (Number(m[1]) > 12) dmy++;
+    else if (Number(m[3]) > 12) mdy++;
+  }
+  if (dmy || mdy) return { format: (dmy >= mdy) ? "DMY" : "MDY", sure: true };
+  if (ymd) return { format: "YMD", sure: true };
+  return { format: "DMY", sure: false };
+}
+
+/** Excel date (serial, 1900 system) -> Date holding the sheet's wall-clock time in UTC */
+function excelSerialToDate(n){
+  return new Date(Math.round((n - 25569) * 86400) * 1000);
+}
+
+/** The reverse: Date (wall-clock time in UTC fields) -> Excel serial */
+function dateToExcelSerial(d){
+  return d.getTime() / 86400000 + 25569;
+}
+
+/** Local wall-clock time of d (default: now) in UTC fields, like every date read from the exports */
+function wallClock(d=new Date()){
+  return new Date(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate(), d.getHours(), d.getMinutes(), d.getSeconds(), d.getMilliseconds()));
+}
+
+/**
+ * Date cell -> Date or null. All dates are kept as wall-clock time in UTC fields (what
+ * formatDate prints), so Excel serials, text dates and Date objects agree.
+ * order ("DMY", "MDY", "YMD") decides ambiguous text such as "03/04/2025".
+ */
+function parseDateCell(v, order="DMY"){
+  if (isBlankCell(v)) return null;
+  if (v instanceof Date){
+    if (isNaN(v)) return null;
+    return new Date(Date.UTC(v.getFullYear(), v.getMonth(), v.getDate(), v.getHours(), v.getMinutes(), v.getSeconds(), v.getMilliseconds()));
+  }
+  if (typeof v === "number") {
+    const d = excelSerialToDate(v);
+    return isNaN(d) ? null : d;
+  }
+  const s = String(v).trim();
+  const m = s.match(DATE_TEXT_RE);
+  if (m){
+    let y, mo, d;
+    if (m[1].length === 4) [y, mo, d] = [m[1], m[3], m[4]];
+    else if (order === "MDY") [mo, d, y] = [m[1], m[3], m[4]];
+    else [d, mo, y] = [m[1], m[3], m[4]];
+    y = Number(y);
+    if (y < 100) y += 2000;
+    const dt = new Date(Date.UTC(y, Number(mo) - 1, Number(d), Number(m[5] || 0), Number(m[6] || 0), Number(m[7] || 0)));
+    // Reject overflow such as 31.02. or month 13
+    if (dt.getUTCDate() !== Number(d) || dt.getUTCMonth() !== Number(mo) - 1) return null;
+    return dt;
+  }
+  // ISO timestamps with an explicit zone ("2025-01-05T12:00:00Z")
+  if (/^\d{4}-\d{2}-\d{2}T.*(Z|[+-]\d{2}:?\d{2})$/.test(s)){
+    const d = new Date(s);
+    if (!isNaN(d)) return d;
+  }
+  return null;
+}
+
+/** Resolve "auto" formats against sample values; returns { date, decimal, dateSure, decimalSure } */
+function resolveFormats(settings, dateSamples, numberSamples){
+  const want = { date: settings.dateFormat || "auto", decimal: settings.decimalFormat || "auto" };
+  const date = (want.date === "auto") ? detectDateOrder(dateSamples) : { format: want.date, sure: true };
+  const decimal = (want.decimal === "auto") ? detectDecimalFormat(numberSamples) : { format: want.decimal, sure: true };
+  return { date: date.format, decimal: decimal.format, dateSure: date.sure, decimalSure: decimal.sure };
+}
+
+/** Rows kept per file and field for the Data Issues drill-down */
+const PARSE_LOG_SAMPLES = 500;
+
+/**
+ * Cells that could not be read, per file and field: a count, a few distinct example
+ * values and the first rows ({ key, value }) for drill-down.
+ */
+function createParseLog(){
+  const entries = new Map();
+  return {
+    note(source, field, value, key=""){
+      const k = `${source}|${field}`;
+      if (!entries.has(k)) entries.set(k, { source, field, count: 0, examples: [], samples: [] });
+      const e = entries.get(k);
+      e.count++;
+      const shown = isBlankCell(value) ? "(blank)" : String(value);
+      if (e.examples.length < 3 && !e.examples.includes(shown)) e.examples.push(shown);
+      if (e.samples.length < PARSE_LOG_SAMPLES) e.samples.push({ key, value: shown });
+    },
+    list(){ return [...entries.values()]; },
+  };
+}
+
+function parseTimeToMs(v){
+  if (v === null || v === undefined || v === "") return 0;
+  // Excel time might be fraction of day (0..1)
+  if (typeof v === "number") {
+    return Math.round((v % 1) * 86400 * 1000);
+  }
+  const s = String(v).trim();
+  // Accept HH:MM:SS or HH:MM
+  const m = s.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+  if (m){
+    const hh = Number(m[1] || 0);
+    const mm = Number(m[2] || 0);
+    const ss = Number(m[3] || 0);
+    return ((hh*3600 + mm*60 + ss) * 1000);
+  }
+  // Fallback: try Date parse for times
+  const d = new Date(`1970-01-01T${s}Z`);
+  if (!isNaN(d)) return d.getUTCHours()*3600000 + d.getUTCMinutes()*60000 + d.getUTCSeconds()*1000;
+  return 0;
+}
+
+function daysSince(dt, ref=null){
+  if (!dt) return NaN;
+  const ms = (ref ? ref.getTime() : Date.now()) - dt.getTime();
+  return ms / 86400000.0;
+}
+
+/** Movement-type profiles */
+function cloneProfile(p){
+  return JSON.parse(JSON.stringify(p));
+}
+
+function mvtClass(profile, mvt){
+  const t = (profile?.types || []).find(x => x.mvt === String(mvt).trim());
+  return t ? { cls: t.cls, of: t.of || "" } : { cls: "", of: "" };
+}
+
+/** Class a movement counts as, following reversals back to the original type */
+function effectiveClass(profile, mvt){
+  const c = mvtClass(profile, mvt);
+  if (c.cls !== "reversal") return c.cls;
+  const orig = mvtClass(profile, c.of);
+  return orig.cls === "reversal" ? "" : orig.cls;
+}
+
+function mvtsOfClass(profile, ...classes){
+  const want = new Set(classes);
+  return (profile?.types || []).filter(t => want.has(t.cls)).map(t => t.mvt);
+}
+
+function validateProfile(p){
+  if (!p || typeof p !== "object" || !Array.isArray(p.types)) throw new Error("Profile must have a name and a list of movement types.");
+  const name = String(p.name || "").trim();
+  if (!name) throw new Error("Profile name is empty.");
+  const seen = new Set();
+  const types = p.types.map(t => {
+    const mvt = String(t?.mvt ?? "").trim();
+    const cls = String(t?.cls ?? "").trim();
+    const of = String(t?.of ?? "").trim();
+    if (!mvt) throw new Error(`Profile "${name}": movement type is empty.`);
+    if (seen.has(mvt)) throw new Error(`Profile "${name}": movement type ${mvt} is listed twice.`);
+    if (!MVT_CLASSES[cls]) throw new Error(`Profile "${name}": unknown class "${cls}" for ${mvt}.`);
+    if (cls === "reversal" && !of) throw new Error(`Profile "${name}": ${mvt} is a reversal but does not say of which type.`);
+    seen.add(mvt);
+    return cls === "reversal" ? { mvt, cls, of } : { mvt, cls };
+  });
+  return { name, types };
+}
+
+/**
+ * Pair reversals with the movement they cancel (same key, latest earlier posting of
+ * the original type with the same absolute quantity, from the reversed document when
+ * MB51 names it) and flag both rows. A reversal that matches no posting (e.g. a partial
+ * one) stays unflagged and only nets the quantity.
+ * Expects mb51 sorted by Key then Post DateTime, as cleanMb51 returns it.
+ */
+function markReversals(mb51, profile){
+  let curKey = null;
+  let open = new Map(); // mvt -> rows not yet reversed
+  for (const r of mb51){
+    if (r.Key !== curKey){
+      curKey = r.Key;
+      open = new Map();
+    }
+    r.Reversed = false;
+    const c = mvtClass(profile, r["Movement Type"]);
+    if (c.cls === "reversal"){
+      const cands = open.get(c.of) || [];
+      const sameQty = (x) => Math.abs(Math.abs(x.Qty) - Math.abs(r.Qty)) < 1e-9;
+      const doc = r["Reversed Document"];
+      let idx = doc ? cands.findLastIndex(x => sameQty(x) && x["Material Document"] === doc) : -1;
+      if (idx < 0) idx = cands.findLastIndex(sameQty);
+      if (idx >= 0){
+        cands[idx].Reversed = true;
+        r.Reversed = true;
+        cands.splice(idx, 1);
+      }
+      continue;
+    }
+    if (!open.has(r["Movement Type"])) open.set(r["Movement Type"], []);
+    open.get(r["Movement Type"]).push(r);
+  }
+}
+
+/** Sum of count-loss quantities per Key (reversals of a loss net it out) */
+function lossSumByKey(mb51, profile){
+  const map = new Map();
+  for (const r of mb51){
+    if (effectiveClass(profile, r["Movement Type"]) !== "count_loss") continue;
+    map.set(r.Key, (map.get(r.Key) || 0) + (r.Qty || 0));
+  }
+  return map;
+}
+
+const dayNumber = (dt) => Math.floor(dt.getTime() / 86400000);
+
+/** Days after a loss in which a count gain is taken as a recount of it */
+const RECOUNT_DAYS = 7;
+/** Share of a loss a later gain must give back to count as its recount */
+const RECOUNT_MIN_SHARE = 0.5;
+/** Short window (days) of the repeat shrink metrics; the long one is the shrinkWindow setting */
+const SHRINK_SHORT_WINDOW = 90;
+const DEFAULT_SHRINK_WINDOW = 365;
+
+/**
+ * Count cycles of one key: its count postings (count_gain / count_loss, reversed pairs left
+ * out) grouped by posting day and material document (by day alone where MB51 has no document
+ * column), each with its net adjustment. A gain cycle within RECOUNT_DAYS
+ * after a loss cycle that gives back at least half of that loss is a recount of it: the loss
+ * gets recountedOn and recountQty, and effective is what is left of the loss.
+ * movements: one key's MB51 rows sorted by time. Returns cycles oldest first:
+ * [{ dt, gain, loss, net, postings, effective, recountedOn, recountQty, recountOf }]
+ */
+function countCyclesOf(movements, profile){
+  const cycles = [];
+  const byDayDoc = new Map(); // day|document -> cycle
+  for (const r of movements){
+    const cls = effectiveClass(profile, r["Movement Type"]);
+    if (r.Reversed || (cls !== "count_gain" && cls !== "count_loss")) continue;
+    const dt = r["Post DateTime"];
+    const id = dt ? `${dayNumber(dt)}|${r["Material Document"] || ""}` : null;
+    let c = id && byDayDoc.get(id);
+    if (!c){
+      c = { dt, gain: 0, loss: 0, net: 0, postings: 0, effective: 0, recountedOn: null, recountQty: 0, recountOf: null };
+      cycles.push(c);
+      if (id) byDayDoc.set(id, c);
+    }
+    const q = r.Qty || 0;
+    if (q >= 0) c.gain += q; else c.loss += q;
+    c.net += q;
+    c.effective += q;
+    c.postings++;
+  }
+
+  for (let i = 0; i < cycles.length; i++){
+    const g = cycles[i];
+    if (g.net <= 0 || !g.dt) continue;
+    for (let j = i - 1; j >= 0; j--){
+      const l = cycles[j];
+      if (!l.dt || (g.dt.getTime() - l.dt.getTime()) / 86400000 > RECOUNT_DAYS) break;
+      if (l.net >= 0 || l.recountedOn) continue;
+      if (g.net < -l.net * RECOUNT_MIN_SHARE) break;
+      const qty = Math.min(g.net, -l.net);
+      Object.assign(l, { recountedOn: g.dt, recountQty: qty, effective: l.net + qty });
+      Object.assign(g, { recountOf: l.dt, effective: g.net - qty });
+      break;
+    }
+  }
+  return cycles;
+}
+
+/**
+ * Repeat shrink metrics of a key's dated count cycles up to ref: cycles still showing a loss
+ * after recounts in the last 90 days and in the last window days, and their average loss
+ * over the window.
+ */
+function shrinkMetrics(allCycles, ref, window=DEFAULT_SHRINK_WINDOW){
+  const cycles = allCycles.filter(c => c.dt && c.dt.getTime() <= ref.getTime());
+  const losses = cycles.filter(c => c.effective < -1e-9);
+  const within = (w) => losses.filter(c => (ref.getTime() - c.dt.getTime()) / 86400000 <= w);
+  const inWindow = within(window);
+  const last = cycles[cycles.length - 1];
+  return {
+    Count_Cycles: cycles.length,
+    [`Loss_Cycles_${SHRINK_SHORT_WINDOW}d`]: within(SHRINK_SHORT_WINDOW).length,
+    Loss_Cycles_Window: inWindow.length,
+    Shrink_Window_Days: window,
+    Avg_Loss_Per_Cycle: inWindow.length ? inWindow.reduce((a, c) => a + c.effective, 0) / inWindow.length : 0,
+    Recounted_Losses: cycles.filter(c => c.recountedOn).length,
+    Last_Cycle_DT: last ? last.dt : null,
+    Last_Cycle_Net: last ? last.net : null,
+  };
+}
+
+/** Sales velocity windows (days) and the history needed before a rate is trusted */
+const VELOCITY_WINDOWS = [30, 90];
+const VELOCITY_MIN_HISTORY_DAYS = 7;
+/** Sale days needed in the 90 days up to the last sale for a typical gap between sales */
+const VELOCITY_MIN_SALE_DAYS = 3;
+
+
+/**
+ * Sales velocity per Key from the sale movements up to ref (reversed pairs left out):
+ * average daily units over the last 30 and 90 days (shortened to the MB51 history
+ * when that is shorter) and the median days between sale days in the 90 days up to the
+ * key's last sale, so an item that has been silent for months still has its usual gap.
+ * Returns Map Key -> { Sales_Per_Day_30d, Sales_Per_Day_90d, Typical_Sale_Gap_Days }.
+ */
+function salesVelocity(mb51, profile, ref){
+  const refMs = ref.getTime();
+  let firstMs = Infinity;
+  for (const r of mb51){
+    const dt = r["Post DateTime"];
+    if (dt && dt.getTime() < firstMs) firstMs = dt.getTime();
+  }
+  const historyDays = (refMs - firstMs) / 86400000;
+
+  const byKey = new Map(); // Key -> { units: [per window], days: Set of sale day numbers }
+  const longest = Math.max(...VELOCITY_WINDOWS);
+  for (const r of mb51){
+    const dt = r["Post DateTime"];
+    if (!dt || r.Reversed || effectiveClass(profile, r["Movement Type"]) !== "sale") continue;
+    const age = (refMs - dt.getTime()) / 86400000;
+    if (age < 0) continue;
+    if (!byKey.has(r.Key)) byKey.set(r.Key, { units: VELOCITY_WINDOWS.map(() => 0), days: new Set() });
+    const k = byKey.get(r.Key);
+    VELOCITY_WINDOWS.forEach((w, i) => { if (age <= w) k.units[i] -= (r.Qty || 0); });
+    if ((r.Qty || 0) < 0) k.days.add(dayNumber(dt));
+  }
+
+  const out = new Map();
+  for (const [key, k] of byKey){
+    const all = [...k.days].sort((a, b) => a - b);
+    const days = all.filter(d => all[all.length - 1] - d <= longest);
+    const gaps = days.slice(1).map((d, i) => d - days[i]).sort((a, b) => a - b);
+    const v = {};
+    VELOCITY_WINDOWS.forEach((w, i) => {
+      const span = Math.min(w, historyDays);
+      v[`Sales_Per_Day_${w}d`] = span >= VELOCITY_MIN_HISTORY_DAYS ? k.units[i] / span : NaN;
+    });
+    v.Typical_Sale_Gap_Days = days.length >= VELOCITY_MIN_SALE_DAYS ? gaps[Math.floor((gaps.length - 1) / 2)] : NaN;
+    out.set(key, v);
+  }
+  return out;
+}
+
+/**
+ * Velocity fields of a row: the sale gap score (days without a sale over the typical
+ * gap between sales) and days of cover (SAP stock over the 30-day, else 90-day rate).
+ */
+function velocityFields(row, v){
+  const rate = [v?.Sales_Per_Day_30d, v?.Sales_Per_Day_90d].find(x => Number.isFinite(x) && x > 0);
+  const gap = v?.Typical_Sale_Gap_Days;
+  return {
+    Sales_Per_Day_30d: v ? v.Sales_Per_Day_30d : NaN,
+    Sales_Per_Day_90d: v ? v.Sales_Per_Day_90d : NaN,
+    Typical_Sale_Gap_Days: Number.isFinite(gap) ? gap : NaN,
+    Sale_Gap_Score: Number.isFinite(gap) && Number.isFinite(row.Days_Since_LastSale) ? row.Days_Since_LastSale / Math.max(gap, 1) : NaN,
+    Days_Of_Cover: rate ? Math.max(0, Number(row.SAP_SOH_MB5B || 0)) / rate : NaN,
+  };
+}
+
+/** Read file (xlsx/xls/csv) to rows of objects (for tabular sheets) */
+async function readWorkbookAsObjects(file){
+  const rows2d = await readWorkbookAsArrays(file);
+  const headers = (rows2d[0] || []).map(h => String(h ?? "").trim());
+  return rows2d.slice(1)
+    .filter(r => r.some(c => !isBlankCell(c)))
+    .map(r => Object.fromEntries(headers.map((h, i) => [h, (i < r.length) ? r[i] : ""])));
+}
+
+/**
+ * Read file to rows as arrays (for MB5B block parsing). CSV/text goes through our own
+ * parser so SheetJS does not guess dates or numbers; xlsx/xls dates arrive as Excel serials.
+ */
+async function readWorkbookAsArrays(file){
+  if (isCsvFile(file)){
+    const rows = [];
+    const parser = createCsvParser(rec => rows.push(rec.map(csvCell)));
+    parser.push(await file.text());
+    parser.end();
+    return rows;
+  }
+  const buf = await file.arrayBuffer();
+  const wb = XLSX.read(buf, { type:"array", cellDates:false });
+  const ws = wb.Sheets[wb.SheetNames[0]];
+  return XLSX.utils.sheet_to_json(ws, { header:1, defval:"" }); // array of arrays
+}
+
+
+/**
+ * Incremental CSV parser (quotes, doubled quotes, CRLF). The delimiter is taken from
+ * the first lines: whichever of ; , or tab occurs most. Returns { push(text), end() }.
+ */
+function createCsvParser(onRecord){
+  let field = "", record = [], inQuotes = false, quotePending = false;
+  let delim = null, head = "";
+
+  function feed(text){
+    for (let i=0; i<text.length; i++){
+      const c = text[i];
+      if (inQuotes){
+        if (quotePending){
+          quotePending = false;
+          if (c === '"'){ field += '"'; continue; }
+          inQuotes = false; // closing quote: handle c as unquoted below
+        } else if (c === '"'){ quotePending = true; continue; }
+        else { field += c; continue; }
+      }
+      if (c === '"' && field === ""){ inQuotes = true; continue; }
+      if (c === delim){ record.push(field); field = ""; continue; }
+      if (c === "\n"){
+        record.push(field.endsWith("\r") ? field.slice(0, -1) : field);
+        onRecord(record);
+        record = []; field = "";
+        continue;
+      }
+      field += c;
+    }
+  }
+
+  // Sample up to 20 lines: report-style exports (MB5B blocks) start with lines that have no delimiter
+  const SAMPLE_LINES = 20;
+  function detect(text){
+    const counts = [";", ",", "\t"].map(d => [d, text.split(d).length]);
+    counts.sort((a,b) => b[1] - a[1]);
+    return counts[0][0];
+  }
+
+  return {
+    push(text){
+      if (delim !== null) return feed(text);
+      head += text;
+      let end = -1;
+      for (let i=0; i<SAMPLE_LINES; i++){
+        end = head.indexOf("\n", end + 1);
+        if (end < 0) return;
+      }
+      delim = detect(head.slice(0, end).replace(/^\uFEFF/, ""));
+      const t = head.replace(/^\uFEFF/, "");
+      head = "";
+      feed(t);
+    },
+    end(){
+      if (delim === null && head){
+        delim = detect(head);
+        const t = head.replace(/^\uFEFF/, "");
+        head = "";
+        feed(t);
+      }
+      inQuotes = false; quotePending = false;
+      if (field !== "" || record.length){
+        record.push(field.replace(/\r$/, ""));
+        onRecord(record);
+      }
+      record = []; field = "";
+    },
+  };
+}
+
+/**
+ * CSV cells stay text: whether "2.500" is 2.5 or 2500 depends on the decimal format,
+ * which parseNumberCell applies (and auto-detection needs to see the text to decide).
+ */
+function csvCell(v){
+  return v.trim();
+}
+
+/**
+ * Stream a CSV file record by record. onHeader(headers) may be async (e.g. waiting
+ * for a column mapping); onRow(obj) gets each data row keyed by header.
+ */
+async function streamCsvObjects(file, onHeader, onRow, onProgress=null){
+  const reader = file.stream().getReader();
+  const decoder = new TextDecoder("utf-8");
+  let queue = [];
+  const parser = createCsvParser(rec => queue.push(rec));
+  let headers = null;
+  let count = 0;
+
+  const drain = async () => {
+    const recs = queue;
+    queue = [];
+    for (const rec of recs){
+      if (!headers){
+        if (rec.every(c => !c.trim())) continue;
+        headers = rec.map(c => c.trim());
+        await onHeader(headers);
+        continue;
+      }
+      if (rec.length === 1 && !rec[0].trim()) continue;
+      const obj = {};
+      for (let i=0; i<headers.length; i++) obj[headers[i]] = (i < rec.length) ? csvCell(rec[i]) : "";
+      onRow(obj);
+      count++;
+    }
+    if (onProgress) onProgress(count);
+  };
+
+  for (;;){
+    const { done, value } = await reader.read();
+    if (done) break;
+    parser.push(decoder.decode(value, { stream:true }));
+    await drain();
+  }
+  parser.push(decoder.decode());
+  parser.end();
+  await drain();
+  return count;
+}
+
+function isCsvFile(file){
+  return /\.(csv|txt)$/i.test(file.name || "") || file.type === "text/csv" || file.type === "text/plain";
+}
+
+/**
+ * Row identity for duplicate detection: material document + year + item when the
+ * file has those columns, otherwise a fingerprint of every cell in the raw row.
+ */
+function mb51RowIdentity(headers){
+  const { mapping, missing } = resolveColumns(headers, MB51_DOC_ALIASES);
+  if (!missing.length){
+    const [doc, year, item] = Object.keys(MB51_DOC_ALIASES).map(f => mapping[f]);
+    return { byDocument: true, id: (r) => `${normIntish(r[doc])}|${normIntish(r[year])}|${normIntish(r[item])}` };
+  }
+  return {
+    byDocument: false,
+    id: (r) => headers.map(h => {
+      const v = r[h];
+      return (v instanceof Date) ? String(v.getTime()) : String(v ?? "").trim();
+    }).join("\u0001"),
+  };
+}
+
+/**
+ * Drops MB51 rows already seen in an earlier file. Identical rows inside one file are
+ * legitimate (two equal sales in the same minute), so an id is only a duplicate up to
+ * the highest number of times any earlier file contained it.
+ */
+function createMb51Deduper(){
+  const kept = new Map();
+  let fileCounts = new Map();
+  return {
+    startFile(){ fileCounts = new Map(); },
+    isDuplicate(id){
+      const n = (fileCounts.get(id) || 0) + 1;
+      fileCounts.set(id, n);
+      return n <= (kept.get(id) || 0);
+    },
+    endFile(){
+      for (const [id, n] of fileCounts) if (n > (kept.get(id) || 0)) kept.set(id, n);
+      fileCounts = new Map();
+    },
+  };
+}
+
+/** Rows sampled at the top of each file to auto-detect its date and decimal formats */
+const FORMAT_SAMPLE_ROWS = 500;
+
+/**
+ * Read one MB51 file into cleaned (unsorted) rows, appended to out. CSV is streamed so
+ * the raw text never sits in memory at once; xlsx/xls go through SheetJS. The first
+ * rows are held back until the file's date/decimal formats are known.
+ * settings: { matPad, slocPad, dateFormat, decimalFormat, uom }
+ * hooks: { progress(text), mapping(headers, fileName) -> Promise<mapping> }
+ * Returns { file, mapping, read, dropped, byDocument, baseUnitQty, baseUnitColumn, formats }.
+ */
+async function readMb51(file, settings, hooks, out, deduper=createMb51Deduper(), log=createParseLog()){
+  const stats = { file: file.name, mapping: {}, read: 0, dropped: 0, byDocument: false, baseUnitQty: false, baseUnitColumn: "", formats: null };
+  let clean = null;
+  let identity = null;
+  let pending = [];
+  let columns = null;
+  const prepare = async (headers) => {
+    stats.mapping = await hooks.mapping(headers, file.name);
+    columns = mb51Columns(headers, stats.mapping);
+    stats.baseUnitQty = !!columns["Qty in Base UoM"];
+    stats.baseUnitColumn = columns["Qty in Base UoM"] || "";
+    identity = mb51RowIdentity(headers);
+    stats.byDocument = identity.byDocument;
+  };
+  const start = () => {
+    const col = (field) => pending.map(r => r[columns[field]]);
+    stats.formats = resolveFormats(settings, col("Posting Date"), col(stats.baseUnitQty ? "Qty in Base UoM" : "Qty in unit of entry"));
+    clean = mb51RowCleaner(columns, settings.matPad, settings.slocPad, stats.formats,
+      (field, value, key) => log.note(`MB51 ${file.name}`, field, value, key), settings.uom);
+    for (const r of pending) out.push(clean(r));
+    pending = null;
+  };
+  const take = (r) => {
+    stats.read++;
+    if (deduper.isDuplicate(identity.id(r))){ stats.dropped++; return; }
+    if (!pending){ out.push(clean(r)); return; }
+    pending.push(r);
+    if (pending.length >= FORMAT_SAMPLE_ROWS) start();
+  };
+
+  deduper.startFile();
+  if (isCsvFile(file)){
+    await streamCsvObjects(file, prepare, take,
+      (n) => hooks.progress(`Reading MB51 ${file.name}: ${n.toLocaleString()} rows`));
+  } else {
+    hooks.progress(`Reading MB51 ${file.name}...`);
+    const raw = await readWorkbookAsObjects(file);
+    await prepare(Object.keys(raw[0] || {}));
+    hooks.progress(`Cleaning MB51 ${file.name}: ${raw.length.toLocaleString()} rows`);
+    for (const r of raw) take(r);
+  }
+  if (pending) start();
+  deduper.endFile();
+  return stats;
+}
+
+function slimMovements(mb51, keys){
+  const map = new Map();
+  for (const r of mb51){
+    if (!keys.has(r.Key)) continue;
+    if (!map.has(r.Key)) map.set(r.Key, []);
+    map.get(r.Key).push({
+      Key: r.Key,
+      "Post DateTime": r["Post DateTime"],
+      "Movement Type": r["Movement Type"],
+      "Movement Type Text": r["Movement Type Text"],
+      Qty: r.Qty,
+      Unit: r.Unit,
+      "Material Document": r["Material Document"],
+      Reversed: !!r.Reversed,
+    });
+  }
+  return map;
+}
+
+class CancelledError extends Error {
+  constructor(){ super("Analysis cancelled."); this.name = "CancelledError"; }
+}
+
+/**
+ * Full run: read, clean and merge the MB51 files, read + parse MB5B, compute metrics.
+ * files: { mb51: [File], mb5b: File, prices: File | null, gapScan: File | null, eanMap: File | null, uom: File | null, master: File | null }
+ * settings: { matPad, slocPad, dateFormat, decimalFormat, tol, profile, asOfInput, ruleSets, defaultRuleSet, ruleAssignments, sortBy }
+ * hooks: { progress(text), mapping(headers, fileName), cancelled() -> bool }
+ */
+async function runPipeline(files, settings, hooks){
+  const check = () => { if (hooks.cancelled && hooks.cancelled()) throw new CancelledError(); };
+
+  const log = createParseLog();
+  const formats = {};
+
+  let uom = null;
+  if (files.uom){
+    hooks.progress(`Reading UoM conversions ${files.uom.name}...`);
+    const uomRows = await readWorkbookAsObjects(files.uom);
+    formats.uom = resolveFormats(settings, [], uomRows.slice(0, FORMAT_SAMPLE_ROWS).flatMap(r => Object.values(r)));
+    uom = parseUomFile(uomRows, settings.matPad, formats.uom.decimal,
+      (field, value) => log.note(`UoM ${files.uom.name}`, field, value));
+    check();
+  }
+
+  const mb51Rows = [];
+  const mb51Files = [];
+  const deduper = createMb51Deduper();
+  for (const f of files.mb51){
+    mb51Files.push(await readMb51(f, { ...settings, uom }, hooks, mb51Rows, deduper, log));
+    check();
+  }
+  hooks.progress(`Sorting ${mb51Rows.length.toLocaleString()} MB51 rows...`);
+  const mb51 = sortMb51(mb51Rows);
+  check();
+
+  hooks.progress(`Reading MB5B ${files.mb5b.name}...`);
+  const mb5b2d = await readWorkbookAsArrays(files.mb5b);
+  formats.mb5b = resolveFormats(settings, [], mb5bNumberSamples(mb5b2d));
+  const mb5b = parseMb5b(mb5b2d, settings.matPad, settings.slocPad, formats.mb5b.decimal,
+    (field, value, key) => log.note(`MB5B ${files.mb5b.name}`, field, value, key));
+  check();
+
+  let prices = null;
+  if (files.prices){
+    hooks.progress(`Reading prices ${files.prices.name}...`);
+    const priceRows = await readWorkbookAsObjects(files.prices);
+    const samples = priceRows.slice(0, FORMAT_SAMPLE_ROWS).flatMap(r => Object.values(r));
+    formats.prices = resolveFormats(settings, [], samples.filter(v => typeof v !== "string" || !DATE_TEXT_RE.test(v.trim())));
+    prices = parsePriceList(priceRows, settings.matPad, formats.prices.decimal,
+      (field, value) => log.note(`Prices ${files.prices.name}`, field, value));
+    check();
+  }
+
+  const res = analyze(mb51, mb5b, { ...settings, prices },
+    (done, total) => hooks.progress(`Computing metrics: ${done.toLocaleString()} / ${total.toLocaleString()} keys`));
+  check();
+
+  let master = null;
+  let masterMatched = 0;
+  if (files.master){
+    hooks.progress(`Reading material master ${files.master.name}...`);
+    master = parseMaterialMaster(await readWorkbookAsObjects(files.master), settings.matPad);
+    masterMatched = applyMaterialMaster(res.rows, master);
+    sortDecisionList(res.rows, settings.sortBy); // again, for orders that use the master's attributes
+    check();
+  }
+
+  const movements = slimMovements(mb51, new Set(mb5b.map(r => r.Key)));
+
+  let gapScan = null;
+  if (files.gapScan){
+    hooks.progress(`Reading gap scans ${files.gapScan.name}...`);
+    const eanMap = files.eanMap ? parseEanMap(await readWorkbookAsObjects(files.eanMap), settings.matPad)
+      : master ? masterEanMap(master) : null;
+    const parsed = parseGapScans(await readWorkbookAsArrays(files.gapScan), settings.slocPad, settings.dateFormat,
+      (field, value) => log.note(`Gap scans ${files.gapScan.name}`, field, value));
+    const scans = parsed.scans;
+    formats.gapScan = { date: parsed.dateFormat };
+    gapScan = { ...applyGapScans(res.rows, scans, eanMap, movements, settings.profile, settings.matPad), eanCount: eanMap ? eanMap.size : 0 };
+    check();
+  }
+
+  return {
+    ...res,
+    mb51Files,
+    mb51Count: mb51.length,
+    priceCount: prices ? prices.size : 0,
+    uomCount: uom ? uom.size : 0,
+    masterCount: master ? master.size : 0,
+    masterMatched,
+    unitIssues: res.rows.filter(r => r.Unit_Note).length,
+    splitRows: mb5b.filter(r => r.MB5B_Check).length,
+    splitIssues: mb5b.filter(r => r.MB5B_Check && r.MB5B_Check !== "OK").length,
+    movements,
+    gapScan,
+    formats,
+    parseIssues: log.list(),
+    dataIssues: buildDataIssues(mb51, mb5b, res.rows, log.list(), settings, !!master, mb51Files),
+  };
+}
+
+/** Header matching */
+function normHeader(h){
+  return String(h ?? "")
+    .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "");
+}
+
+/**
+ * Match source headers to fields via an alias table.
+ * Returns { mapping: field -> source header, missing: [fields not found] }.
+ */
+function resolveColumns(headers, aliases){
+  const byNorm = new Map();
+  for (const h of headers){
+    const n = normHeader(h);
+    if (n && !byNorm.has(n)) byNorm.set(n, h);
+  }
+  const mapping = {};
+  const missing = [];
+  for (const [field, names] of Object.entries(aliases)){
+    const hit = [field, ...names].map(normHeader).find(n => byNorm.has(n));
+    if (hit) mapping[field] = byNorm.get(hit);
+    else missing.push(field);
+  }
+  return { mapping, missing };
+}
+
+/** Stable id for a header layout, so a manual mapping can be reused for the same export */
+function headerSignature(headers){
+  const txt = headers.map(normHeader).sort().join("|");
+  let h = 5381;
+  for (let i=0; i<txt.length; i++) h = ((h * 33) ^ txt.charCodeAt(i)) >>> 0;
+  return `${headers.length}-${h.toString(16)}`;
+}
+
+/** Auto-detect the MB51 mapping from aliases; throws if a required column is missing */
+function autoMb51Mapping(headers){
+  const res = resolveColumns(headers, MB51_ALIASES);
+  const missing = res.missing.filter(c => !MB51_OPTIONAL.has(c));
+  if (missing.length) throw new Error(`MB51 missing columns: ${missing.join(", ")}`);
+  return res.mapping;
+}
+
+/**
+ * Row converter for raw MB51 rows (mapping: field -> source header, incl. MB51_UNIT_ALIASES fields).
+ * formats: { date, decimal } as from resolveFormats; onBad(field, value, key) is called for a posting
+ * date or quantity that cannot be read (the row is kept, with a null date or a 0 quantity).
+ * Qty is in the base unit when MB51 has a base-unit quantity or uom (parseUomFile) converts the
+ * unit of entry; otherwise it stays in the unit of entry. Unit names the unit of Qty.
+ */
+function mb51RowCleaner(mapping, matPad, slocPad, formats={ date:"DMY", decimal:"dot" }, onBad=null, uom=null){
+  const get = (r, field) => mapping[field] ? r[mapping[field]] : "";
+  const bad = onBad || (() => {});
+  const qtyField = mapping["Qty in Base UoM"] ? "Qty in Base UoM" : "Qty in unit of entry";
+
+  return (r) => {
+    const plant = normIntish(get(r, "Plant"));
+    const material = normMaterial(get(r, "Material"), matPad);
+    const sloc = normSloc(get(r, "Storage Location"), slocPad);
+    const key = makeKey(plant, material, sloc);
+
+    const postDate = parseDateCell(get(r, "Posting Date"), formats.date);
+    if (!postDate) bad("Posting Date", get(r, "Posting Date"), key);
+    const timeMs = parseTimeToMs(get(r, "Time of Entry"));
+    const postDT = postDate ? new Date(postDate.getTime() + timeMs) : null;
+
+    const mvt = String(get(r, "Movement Type") ?? "").trim();
+    const mvtTxt = String(get(r, "Movement Type Text") ?? "").trim();
+    let qty = parseNumberCell(get(r, qtyField), formats.decimal);
+    if (!Number.isFinite(qty)){
+      bad("Quantity", get(r, qtyField), key);
+      qty = 0.0;
+    }
+    let unit;
+    if (qtyField === "Qty in Base UoM"){
+      unit = normUnit(get(r, "Base Unit of Measure"));
+    } else {
+      unit = normUnit(get(r, "Unit of Entry"));
+      const conv = uomFactor(uom, material, unit);
+      if (conv){
+        qty *= conv.factor;
+        unit = conv.base || unit;
+      } else if (uom && uom.has(material)){
+        bad("Unit conversion", unit, key);
+      }
+    }
+
+    return {
+      Plant: plant,
+      Material: material,
+      "Material Description": String(get(r, "Material Description") ?? "").trim(),
+      "Storage Location": sloc,
+      "Movement Type": mvt,
+      "Movement Type Text": mvtTxt,
+      "Posting Date": postDate,
+      "Time of Entry": get(r, "Time of Entry"),
+      "Post DateTime": postDT,
+      Qty: qty,
+      Unit: unit,
+      Key: key,
+      "Material Document": normIntish(get(r, "Material Document")),
+      "Reversed Document": normIntish(get(r, "Reversed Document")),
+    };
+  };
+}
+
+/** Sort cleaned MB51 rows by Key, then posting time (in place) */
+function sortMb51(out){
+  out.sort((a,b) => {
+    if (a.Key < b.Key) return -1;
+    if (a.Key > b.Key) return 1;
+    const at = a["Post DateTime"] ? a["Post DateTime"].getTime() : 0;
+    const bt = b["Post DateTime"] ? b["Post DateTime"].getTime() : 0;
+    return at - bt;
+  });
+  return out;
+}
+
+/**
+ * Cleaner mapping: the MB51 mapping plus any unit columns found via MB51_UNIT_ALIASES and the
+ * material document (and reversed document) columns, which group count cycles and pair reversals
+ */
+function mb51Columns(headers, mapping){
+  const docs = { "Material Document": MB51_DOC_ALIASES["Material Document"], ...MB51_REVERSED_DOC_ALIASES };
+  const columns = { ...resolveColumns(headers, MB51_UNIT_ALIASES).mapping, ...resolveColumns(headers, docs).mapping, ...mapping };
+  if (columns["Qty in Base UoM"] === columns["Qty in unit of entry"]) delete columns["Qty in Base UoM"];
+  return columns;
+}
+
+/** MB51 cleaning (mapping: field -> source header; auto-detected from aliases if omitted) */
+function cleanMb51(rows, matPad, slocPad, mapping=null, formats=undefined){
+  const headers = Object.keys(rows[0] || {});
+  const columns = mb51Columns(headers, mapping || autoMb51Mapping(headers));
+  return sortMb51(rows.map(mb51RowCleaner(columns, matPad, slocPad, formats)));
+}
+
+/** MB5B parsing (block/detail export) */
+
+/** Quantity and unit of a text like "1.234,000- EA", "5 - CS" or "12 KAR" (qty NaN when unreadable) */
+function qtyWithUnit(text, decimal="dot"){
+  const m = String(text ?? "").trim().match(/^(\S+)(\s+-(?=\s|$))?(?:\s+([A-Za-z][A-Za-z0-9]{0,5})\b)?/);
+  if (!m) return { qty: NaN, unit: "" };
+  const n = parseNumberCell(m[1] + (m[2] ? "-" : ""), decimal);
+  return { qty: (n === null) ? NaN : n, unit: normUnit(m[3]) };
+}
+
+function leadingQty(text, decimal="dot"){
+  return qtyWithUnit(text, decimal).qty;
+}
+
+/**
+ * "Stock on dd.mm.yyyy  <qty> <unit>" -> { date, qty, unit } (any unit; date null for the
+ * open-ended 31.12.9999; qty NaN if unreadable)
+ */
+function parseStockLine(s, decimal="dot"){
+  const line = String(s ?? "").trim();
+  const m = line.match(/^Stock on\s+(\d{1,2})\.(\d{1,2})\.(\d{4})/);
+  if (!m) return null;
+  const { qty, unit } = qtyWithUnit(line.slice(m[0].length), decimal);
+  const year = Number(m[3]);
+  const date = year >= 9999 ? null : new Date(Date.UTC(year, Number(m[2]) - 1, Number(m[1])));
+  return { date, sortKey: year * 10000 + Number(m[2]) * 100 + Number(m[1]), qty, unit };
+}
+
+/** Quantity-looking text cells of an MB5B file (stock lines and plain numbers), for decimal detection */
+function mb5bNumberSamples(rows2d){
+  const out = [];
+  for (const r of rows2d.slice(0, 5000)){
+    for (const v of r || []){
+      if (typeof v !== "string") continue;
+      const s = v.trim();
+      const st = s.match(/^Stock on\s+\S+\s+(\S+)/);
+      if (st) out.push(st[1]);
+      else if (/^[-+(]?\d[\d.,']*[-)]?$/.test(s) && !DATE_TEXT_RE.test(s)) out.push(s);
+    }
+  }
+  return out;
+}
+
+function parseMb5bBlocks(rows2d, matPad, slocPad, decimal="dot", onBad=null){
+  const bad = onBad || (() => {});
+  const col0 = rows2d.map(r => String((r && r[0] !== undefined) ? r[0] : "").trim());
+  const plantRows = [];
+  for (let i=0; i<col0.length; i++){
+    if (col0[i].startsWith("Plant")) plantRows.push(i);
+  }
+  if (!plantRows.length) throw new Error("MB5B format not recognized (no 'Plant' blocks and no flat list with Plant/Material/Closing Stock columns). Export MB5B in detail/block format or as an ALV list.");
+
+  const blocks = [];
+
+  for (let bi=0; bi<plantRows.length; bi++){
+    const start = plantRows[bi];
+    const end = (bi+1 < plantRows.length) ? plantRows[bi+1] : rows2d.length;
+    const block = rows2d.slice(start, end);
+
+    const lines0 = block
+      .map(r => r && r[0] !== undefined ? String(r[0]) : "")
+      .filter(x => String(x).trim().length)
+      .map(x => String(x));
+
+    if (!lines0.length) continue;
+
+    const plantLine = lines0[0];
+    const pm = plantLine.match(/Plant\s+(\d+)/);
+    const plant = pm ? pm[1] : "";
+
+    let material = "";
+    let desc = "";
+    let closing = null; // latest "Stock on" line = closing stock (earlier ones are opening stock)
+    let opening = null;
+
+    for (let i=0; i<Math.min(lines0.length, 140); i++){
+      const line = lines0[i];
+
+      if (!material && line.includes("Material")){
+        const mm = line.match(/Material\s+(\d+)/);
+        if (mm) material = mm[1];
+      }
+      if (!desc && line.trim().startsWith("Description")){
+        const dm = line.match(/Description\s+(.*)$/);
+        if (dm) desc = (dm[1] || "").trim();
+      }
+      const st = parseStockLine(line, decimal);
+      if (st && !Number.isFinite(st.qty)){
+        bad("Stock quantity", line.trim(), `${normIntish(plant)}|${normMaterial(material, matPad)}`);
+        continue;
+      }
+      if (st && (!closing || st.sortKey >= closing.sortKey)) closing = st;
+      if (st && (!opening || st.sortKey < opening.sortKey)) opening = st;
+    }
+    if (opening === closing) opening = null;
+
+    // infer SLoc from detail table if possible: find row where col1="Loca" col2="MvT"
+    const slocs = new Set();
+    const slocQty = new Map(); // sloc -> sum of detail quantities
+    let qtyCol = -1;
+    for (let r=0; r<block.length; r++){
+      const c1 = block[r]?.[1] ?? "";
+      const c2 = block[r]?.[2] ?? "";
+      if (String(c1).trim() === "Loca" && String(c2).trim() === "MvT"){
+        qtyCol = (block[r] || []).findIndex(c => /^(quantity|qty|menge)\b/i.test(String(c ?? "").trim()));
+        for (let rr=r+2; rr<block.length; rr++){
+          const v0 = block[rr]?.[0] ?? "";
+          if (typeof v0 === "string" && String(v0).trim().startsWith("Plant")) break;
+          const loca = block[rr]?.[1];
+          if (loca !== null && loca !== undefined && String(loca).trim() !== ""){
+            const sl = normSloc(loca, slocPad);
+            slocs.add(sl);
+            const q = (qtyCol >= 0) ? parseDetailQty(block[rr]?.[qtyCol], decimal) : null;
+            if (qtyCol >= 0 && q === null && !isBlankCell(block[rr]?.[qtyCol])) bad("Detail quantity", block[rr]?.[qtyCol], `${normIntish(plant)}|${normMaterial(material, matPad)}|${sl}`);
+            slocQty.set(sl, (slocQty.get(sl) || 0) + (q ?? 0));
+          }
+        }
+        break;
+      }
+    }
+
+    let sloc = "";
+    if (slocs.size === 1) sloc = [...slocs][0];
+    else if (slocs.size > 1) sloc = "MULTI";
+
+    const plantN = normIntish(plant);
+    const matN = normMaterial(material, matPad);
+    const closeQty = closing ? Number(closing.qty) : 0.0;
+    const base = {
+      Plant: plantN,
+      Material: matN,
+      "Material Description": desc,
+      SAP_SOH_Date: closing ? closing.date : null,
+      Base_Unit: closing ? closing.unit : "",
+    };
+    if (!closing) base.MB5B_No_Closing = true;
+
+    if (sloc === "MULTI" && qtyCol >= 0){
+      blocks.push(...splitMultiSlocBlock(base, slocQty, closeQty, opening ? Number(opening.qty) : 0));
+      continue;
+    }
+
+    const slocN = (sloc === "MULTI") ? "MULTI" : normSloc(sloc, slocPad);
+    const row = {
+      ...base,
+      "Storage Location": slocN,
+      SAP_SOH_MB5B: closeQty,
+      Key: makeKey(plantN, matN, slocN),
+    };
+    if (slocN === "MULTI"){
+      row.MB5B_Check = "NOT SPLIT";
+      row.MB5B_Note = `Block covers ${slocs.size} storage locations (${[...slocs].join(", ")}) but its detail table has no quantity column, so it cannot be split.`;
+    }
+    blocks.push(row);
+  }
+
+  return dedupeByKey(blocks);
+}
+
+/** Detail-table quantity cell (number, "1,234.000" or trailing-minus "5-") -> number or null */
+function parseDetailQty(v, decimal="dot"){
+  if (typeof v === "number") return Number.isFinite(v) ? v : null;
+  const n = leadingQty(v, decimal);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Break a multi-SLoc MB5B block into one row per storage location. The summed detail
+ * quantities are only that location's stock when the block starts from zero and they
+ * add up to the closing line; otherwise MB5B does not say how the stock is split, so
+ * the rows carry no SAP stock (null) and are flagged NOT SPLIT. Blocks with a single
+ * location never get here: they keep the block closing stock.
+ */
+function splitMultiSlocBlock(base, slocQty, closeQty, openQty){
+  const slocList = [...slocQty.keys()].sort();
+  const detailTotal = [...slocQty.values()].reduce((a, b) => a + b, 0);
+  const diff = closeQty - detailTotal;
+  const ok = Math.abs(diff) < 1e-6 && Math.abs(openQty) < 1e-6;
+  let note = `Split from a multi-SLoc MB5B block (${slocList.join(", ")}); block closing stock ${closeQty.toFixed(2)}.`;
+  if (!ok){
+    note += openQty ? ` Opening stock ${openQty.toFixed(2)} cannot be assigned to a SLoc` : ` Detail rows sum to ${detailTotal.toFixed(2)} (difference ${diff.toFixed(2)})`;
+    note += ", so the stock per SLoc is unknown.";
+  }
+  return slocList.map(sl => ({
+    ...base,
+    "Storage Location": sl,
+    SAP_SOH_MB5B: ok ? slocQty.get(sl) : null,
+    Key: makeKey(base.Plant, base.Material, sl),
+    MB5B_Check: ok ? "OK" : "NOT SPLIT",
+    MB5B_Note: note,
+  }));
+}
+
+function dedupeByKey(rows){
+  const seen = new Set();
+  const out = [];
+  for (const b of rows){
+    if (seen.has(b.Key)) continue;
+    seen.add(b.Key);
+    out.push(b);
+  }
+  return out;
+}
+
+/** Column spellings for the flat (ALV list) MB5B layout */
+const MB5B_FLAT_ALIASES = {
+  "Plant": ["Werk", "Division", "Centro", "WERKS"],
+  "Material": ["Material Number", "Article", "Artikel", "MATNR"],
+  "Storage Location": ["SLoc", "Stor. Location", "Lagerort", "Magasin", "Almacén", "LGORT"],
+  "Material Description": ["Material Short Text", "Materialkurztext", "Désignation article", "Texto breve de material", "MAKTX"],
+  "Opening Stock": ["Opening Stock", "Opening stock quantity", "Anfangsbestand", "Stock initial", "Stock inicial", "ANFMENGE"],
+  "Receipts": ["Total Receipt Quantities", "Total Receipts", "Receipt Quantity", "Summe Zugangsmengen", "Zugänge", "Total quantités entrées", "Total cantidades entradas", "SOLL"],
+  "Issues": ["Total Goods Issue Quantities", "Total Issues", "Issue Quantity", "Summe Abgangsmengen", "Abgänge", "Total quantités sorties", "Total cantidades salidas", "HABEN"],
+  "Closing Stock": ["Closing Stock", "Closing stock quantity", "Endbestand", "Stock final", "ENDMENGE"],
+  "Base Unit of Measure": ["Base Unit", "BUn", "Unit", "Basismengeneinheit", "BME", "Unité de quantité de base", "UQB", "UMB", "MEINS"],
+};
+
+/** Find the header row of a flat MB5B list (first rows only); -1 if the file is not flat */
+function findMb5bFlatHeader(rows2d){
+  const limit = Math.min(rows2d.length, 40);
+  for (let i=0; i<limit; i++){
+    const headers = (rows2d[i] || []).map(c => String(c ?? "").trim());
+    const { mapping } = resolveColumns(headers, MB5B_FLAT_ALIASES);
+    const hasStock = mapping["Closing Stock"] || (mapping["Opening Stock"] && mapping["Receipts"] && mapping["Issues"]);
+    if (mapping.Plant && mapping.Material && hasStock) return i;
+  }
+  return -1;
+}
+
+/** MB5B parsing (flat ALV list: one row per material/sloc with opening, receipts, issues, closing) */
+function parseMb5bFlat(rows2d, matPad, slocPad, headerRow, decimal="dot", onBad=null){
+  const headers = (rows2d[headerRow] || []).map(c => String(c ?? "").trim());
+  const { mapping } = resolveColumns(headers, MB5B_FLAT_ALIASES);
+  const idx = {};
+  for (const [field, h] of Object.entries(mapping)) idx[field] = headers.indexOf(h);
+  const cell = (r, field) => (idx[field] === undefined) ? "" : r[idx[field]];
+  const qty = (r, field) => {
+    const n = parseNumberCell(cell(r, field), decimal);
+    if (Number.isNaN(n) && onBad) onBad(field, cell(r, field));
+    return Number.isFinite(n) ? n : 0.0;
+  };
+
+  const out = [];
+  for (let i=headerRow+1; i<rows2d.length; i++){
+    const r = rows2d[i] || [];
+    const material = normIntish(cell(r, "Material"));
+    const plant = normIntish(cell(r, "Plant"));
+    if (!material || !plant) continue; // blank, subtotal or repeated page lines
+    if (normHeader(material) === normHeader(mapping.Material)) continue;
+
+    let closeQty;
+    let noClosing = false;
+    if (idx["Closing Stock"] !== undefined){
+      closeQty = qty(r, "Closing Stock");
+      noClosing = isBlankCell(cell(r, "Closing Stock"));
+    } else {
+      // Issues are shown negative in most layouts; accept either sign
+      closeQty = qty(r, "Opening Stock") + qty(r, "Receipts") - Math.abs(qty(r, "Issues"));
+    }
+
+    const matN = normMaterial(material, matPad);
+    const slocN = normSloc(cell(r, "Storage Location"), slocPad);
+    const row = {
+      Plant: plant,
+      Material: matN,
+      "Storage Location": slocN,
+      "Material Description": String(cell(r, "Material Description") ?? "").trim(),
+      SAP_SOH_MB5B: closeQty,
+      SAP_SOH_Date: null,
+      Base_Unit: normUnit(cell(r, "Base Unit of Measure")),
+      Key: makeKey(plant, matN, slocN),
+    };
+    if (noClosing) row.MB5B_No_Closing = true;
+    out.push(row);
+  }
+  return dedupeByKey(out);
+}
+
+/**
+ * MB5B parsing: detect the layout (flat list or block printout) and parse it.
+ * decimal: "dot" | "comma"; onBad(field, value) is called for quantities that cannot be read.
+ */
+function parseMb5b(rows2d, matPad, slocPad, decimal="dot", onBad=null){
+  const headerRow = findMb5bFlatHeader(rows2d);
+  if (headerRow >= 0) return parseMb5bFlat(rows2d, matPad, slocPad, headerRow, decimal, onBad);
+  return parseMb5bBlocks(rows2d, matPad, slocPad, decimal, onBad);
+}
+
+/** Group sum Qty per Key */
+function computeExpectedSohMb51(mb51){
+  const map = new Map();
+  for (const r of mb51){
+    map.set(r.Key, (map.get(r.Key) || 0) + (r.Qty || 0));
+  }
+  return map;
+}
+
+/**
+ * Replay cut-off: the chosen date (end of day), else the MB5B reporting date when
+ * the export has one, else null (replay everything).
+ */
+function resolveAsOf(dateInput, mb5b){
+  if (dateInput){
+    const [y, m, d] = String(dateInput).split("-").map(Number);
+    return { date: new Date(Date.UTC(y, m - 1, d, 23, 59, 59, 999)), source: "selected date" };
+  }
+  let latest = null;
+  for (const b of mb5b){
+    if (b.SAP_SOH_Date && (!latest || b.SAP_SOH_Date > latest)) latest = b.SAP_SOH_Date;
+  }
+  if (latest){
+    const d = new Date(latest);
+    d.setUTCHours(23, 59, 59, 999);
+    return { date: d, source: "MB5B reporting date" };
+  }
+  return { date: null, source: "all movements" };
+}
+
+/** Movements that count for a replay up to asOf (rows without a date cannot be placed, so they stay in) */
+function movementsUpTo(mb51, asOf){
+  if (!asOf) return mb51;
+  const t = asOf.getTime();
+  return mb51.filter(r => !r["Post DateTime"] || r["Post DateTime"].getTime() <= t);
+}
+
+function groupByKey(mb51){
+  const map = new Map();
+  for (const r of mb51){
+    if (!map.has(r.Key)) map.set(r.Key, []);
+    map.get(r.Key).push(r);
+  }
+  return map;
+}
+
+/** Running-balance ledger for one key's movements (sorted by time) */
+function buildLedger(movements, profile, asOf){
+  let bal = 0;
+  return movements.map(r => {
+    bal += (r.Qty || 0);
+    const dt = r["Post DateTime"];
+    return {
+      dt,
+      mvt: r["Movement Type"],
+      txt: r["Movement Type Text"],
+      cls: effectiveClass(profile, r["Movement Type"]),
+      qty: r.Qty || 0,
+      unit: r.Unit || "",
+      balance: bal,
+      reversed: !!r.Reversed,
+      afterAsOf: !!(asOf && dt && dt.getTime() > asOf.getTime()),
+    };
+  });
+}
+
+function lastEvent(mb51, mvts, label){
+  const last = new Map(); // Key -> row
+  const mvSet = new Set(mvts);
+  for (const r of mb51){
+    if (!mvSet.has(r["Movement Type"])) continue;
+    if (r.Reversed) continue;
+    if (!r["Post DateTime"]) continue;
+    const cur = last.get(r.Key);
+    if (!cur || cur["Post DateTime"].getTime() < r["Post DateTime"].getTime()){
+      last.set(r.Key, r);
+    }
+  }
+  // convert to map Key -> fields
+  const out = new Map();
+  for (const [key, r] of last.entries()){
+    out.set(key, {
+      [`${label}_DT`]: r["Post DateTime"],
+      [`${label}_Qty`]: r.Qty,
+      [`${label}_MvT`]: r["Movement Type"],
+      [`${label}_Txt`]: r["Movement Type Text"],
+    });
+  }
+  return out;
+}
+
+const materialOf = (key) => key.slice(0, key.lastIndexOf("|"));
+
+/**
+ * Pair transfer postings (profile class "transfer") between storage locations of a plant.
+ * An outgoing line takes the earliest unpaired incoming line of the same material at another
+ * location with the same quantity, posted at the same time or later: 311 posts both lines at
+ * once, 313 out is followed by 315 in. Reversed postings are left out.
+ * Returns Map "plant|material" -> [{ from, to, qty, unit, mvt, dt, inDt }] oldest first;
+ * from or to is "" when the other side is not in MB51 (e.g. still in transfer).
+ */
+function pairTransfers(mb51, profile){
+  const byMaterial = new Map();
+  for (const r of mb51){
+    if (r.Reversed || !r.Qty || effectiveClass(profile, r["Movement Type"]) !== "transfer") continue;
+    const mat = materialOf(r.Key);
+    if (!byMaterial.has(mat)) byMaterial.set(mat, { outs: [], ins: [] });
+    byMaterial.get(mat)[r.Qty < 0 ? "outs" : "ins"].push(r);
+  }
+
+  const time = (r) => r["Post DateTime"] ? r["Post DateTime"].getTime() : -Infinity;
+  const out = new Map();
+  for (const [mat, { outs, ins }] of byMaterial){
+    outs.sort((a, b) => time(a) - time(b));
+    ins.sort((a, b) => time(a) - time(b));
+    const taken = new Set();
+    const list = [];
+    for (const o of outs){
+      const i = ins.findIndex((n, idx) => !taken.has(idx) && n["Storage Location"] !== o["Storage Location"]
+        && Math.abs(n.Qty + o.Qty) < 1e-9 && time(n) >= time(o));
+      if (i >= 0) taken.add(i);
+      const n = i >= 0 ? ins[i] : null;
+      list.push({
+        from: o["Storage Location"], to: n ? n["Storage Location"] : "", qty: -o.Qty, unit: o.Unit || "",
+        mvt: o["Movement Type"], dt: o["Post DateTime"], inDt: n ? n["Post DateTime"] : null,
+      });
+    }
+    ins.forEach((n, idx) => {
+      if (taken.has(idx)) return;
+      list.push({
+        from: "", to: n["Storage Location"], qty: n.Qty, unit: n.Unit || "",
+        mvt: n["Movement Type"], dt: n["Post DateTime"], inDt: n["Post DateTime"],
+      });
+    });
+    list.sort((a, b) => (a.dt ? a.dt.getTime() : -Infinity) - (b.dt ? b.dt.getTime() : -Infinity));
+    out.set(mat, list);
+  }
+  return out;
+}
+
+/** Most recent transfer in and out of every key, as row fields */
+function lastTransfers(transfers){
+  const out = new Map();
+  const set = (key, fields, dt) => {
+    if (!out.has(key)) out.set(key, {});
+    const cur = out.get(key);
+    const field = Object.keys(fields)[0];
+    const prev = cur[field];
+    if (!prev || (dt && dt.getTime() >= prev.getTime())) Object.assign(cur, fields);
+  };
+  for (const [mat, list] of transfers){
+    for (const t of list){
+      if (t.from){
+        set(`${mat}|${t.from}`, { Last_Transfer_Out_DT: t.dt, Last_Transfer_Out_Qty: t.qty, Last_Transfer_Out_To: t.to }, t.dt);
+      }
+      if (t.to){
+        const dt = t.inDt || t.dt;
+        set(`${mat}|${t.to}`, { Last_Transfer_In_DT: dt, Last_Transfer_In_Qty: t.qty, Last_Transfer_In_From: t.from }, dt);
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Where stock of a row most likely sits when it is not on its own location: the latest
+ * transfer out to a location that still holds stock, else the latest transfer in from one,
+ * else the other location with the most stock. stockAt(sloc) is SAP stock (MB5B) or the
+ * replay where MB5B has no row; lastSaleAt(sloc) the last sale there.
+ * Returns { sloc, note } or null.
+ */
+function likelyLocation(row, transfers, stockAt, lastSaleAt, slocs){
+  const here = row["Storage Location"];
+  const unit = row.Base_Unit ? ` ${row.Base_Unit}` : "";
+  const day = (dt) => dt ? formatDate(dt).slice(0, 10) : "an unknown date";
+  const holds = (sl) => `${sl} shows ${stockAt(sl).toFixed(2)}${unit}`;
+  const recent = [...(transfers || [])].reverse();
+
+  const sent = recent.find(t => t.from === here && t.to && stockAt(t.to) > 0);
+  if (sent){
+    const sale = lastSaleAt(sent.to);
+    const since = sale && sent.dt && sale.getTime() > sent.dt.getTime() ? `last sale there ${day(sale)}` : "no sale there since";
+    return { sloc: sent.to, note: `${sent.qty}${unit} transferred to ${sent.to} on ${day(sent.dt)}, ${since}; ${holds(sent.to)}` };
+  }
+  const came = recent.find(t => t.to === here && t.from && stockAt(t.from) > 0);
+  if (came){
+    return { sloc: came.from, note: `${came.qty}${unit} came from ${came.from} on ${day(came.inDt || came.dt)}; ${holds(came.from)}` };
+  }
+  const best = slocs.filter(sl => sl !== here && stockAt(sl) > 0).sort((a, b) => stockAt(b) - stockAt(a))[0];
+  return best ? { sloc: best, note: holds(best) } : null;
+}
+
+/** Expectation levels, lowest first; rule steps move a row along this ladder */
+const EXPECTATION_LEVELS = ["LOW", "MEDIUM", "HIGH"];
+
+/**
+ * Rules that can adjust the Expectation after the mismatch check. Each rule fires on a
+ * row for a threshold and explains itself; the rule set decides the threshold, the
+ * step (levels up or down) and which starting levels the step applies to.
+ */
+const EXPECTATION_RULES = [
+  {
+    id: "recentReceipt", label: "Recent receipt", unit: "days",
+    fires: (r, t) => Number.isFinite(r.Days_Since_LastReceipt) && r.Days_Since_LastReceipt <= t,
+    text: () => "Recent receipt → stock likely exists somewhere (backroom possible).",
+  },
+  {
+    id: "staleReceipt", label: "No recent receipt", unit: "days",
+    fires: (r, t) => !Number.isFinite(r.Days_Since_LastReceipt) || r.Days_Since_LastReceipt > t,
+    text: () => "No recent receipts → less likely to be in backroom.",
+  },
+  {
+    id: "recentSale", label: "Recent sale", unit: "days",
+    fires: (r, t) => Number.isFinite(r.Days_Since_LastSale) && r.Days_Since_LastSale <= t,
+    text: () => "Recent sales → item is active (stock movement ongoing).",
+  },
+  {
+    id: "lossHistory", label: "Count-loss history", unit: "units lost",
+    fires: (r, t) => Number(r.Loss702_Sum || 0) < -Math.abs(t),
+    text: (r, profile) => `${mvtsOfClass(profile, "count_loss").join("/") || "count loss"} loss history (${Number(r.Loss702_Sum || 0).toFixed(2)}) → higher chance of shrink / missing stock.`,
+  },
+  {
+    id: "phantom", label: "Silent fast seller (phantom stock)", unit: "× usual gap between sales",
+    fires: (r, t) => Number(r.SAP_SOH_MB5B || 0) > 0 && Number.isFinite(r.Sale_Gap_Score) && r.Sale_Gap_Score >= t,
+    text: (r) => `Usually sells every ${r.Typical_Sale_Gap_Days} day(s) but no sale for ${r.Days_Since_LastSale.toFixed(0)} days `
+      + `(${r.Sale_Gap_Score.toFixed(1)}× the usual gap) while SAP shows stock → probable phantom inventory.`,
+  },
+  {
+    id: "repeatShrink", label: "Repeat shrink", unit: "loss cycles in the shrink window",
+    fires: (r, t) => Number(r.Loss_Cycles_Window || 0) >= Math.max(1, t),
+    text: (r) => `${r.Loss_Cycles_Window} count cycles with a loss in the last ${r.Shrink_Window_Days} days (avg ${r.Avg_Loss_Per_Cycle.toFixed(2)} per cycle) `
+      + "→ repeat shrink, stock keeps going missing.",
+  },
+  {
+    id: "noCount", label: "No count event", unit: "",
+    fires: (r) => !Number.isFinite(r.Days_Since_LastCount),
+    text: (r, profile) => `No ${mvtsOfClass(profile, "count_gain", "count_loss").join("/") || "count"} count event found → confidence weaker.`,
+  },
+  {
+    id: "oldCount", label: "Old count", unit: "days",
+    fires: (r, t) => Number.isFinite(r.Days_Since_LastCount) && r.Days_Since_LastCount > t,
+    text: () => "Last count is old → more uncertainty.",
+  },
+];
+
+const PHANTOM_RULE = EXPECTATION_RULES.find(d => d.id === "phantom");
+
+/** Built-in rule set: the original fixed logic plus the phantom stock and repeat shrink checks */
+const DEFAULT_RULE_SET = {
+  name: "Standard",
+  mediumMaxDelta: 5,
+  rules: {
+    recentReceipt: { enabled:true, threshold:14, step:1, levels:["MEDIUM"] },
+    staleReceipt: { enabled:true, threshold:90, step:-1, levels:["HIGH"] },
+    recentSale: { enabled:true, threshold:14, step:0, levels:[] },
+    lossHistory: { enabled:true, threshold:0, step:-1, levels:["HIGH", "MEDIUM"] },
+    phantom: { enabled:true, threshold:4, step:-1, levels:["HIGH", "MEDIUM"] },
+    repeatShrink: { enabled:true, threshold:3, step:-1, levels:["HIGH", "MEDIUM"] },
+    noCount: { enabled:true, threshold:0, step:-1, levels:["HIGH"] },
+    oldCount: { enabled:true, threshold:180, step:-1, levels:["HIGH"] },
+  },
+};
+
+/** Normalise a rule set; rules it does not mention take the built-in settings */
+function validateRuleSet(rs){
+  if (!rs || typeof rs !== "object") throw new Error("Rule set must be an object.");
+  const name = String(rs.name || "").trim();
+  if (!name) throw new Error("Rule set name is empty.");
+  const num = (v, what) => {
+    const n = Number(v);
+    if (!Number.isFinite(n)) throw new Error(`Rule set "${name}": ${what} is not a number.`);
+    return n;
+  };
+  const rules = {};
+  for (const def of EXPECTATION_RULES){
+    const given = rs.rules?.[def.id] || {};
+    const base = DEFAULT_RULE_SET.rules[def.id];
+    const levels = Array.isArray(given.levels) ? given.levels.map(String) : base.levels;
+    const bad = levels.find(l => !EXPECTATION_LEVELS.includes(l));
+    if (bad) throw new Error(`Rule set "${name}": unknown level "${bad}" in ${def.label}.`);
+    rules[def.id] = {
+      enabled: given.enabled !== undefined ? !!given.enabled : base.enabled,
+      threshold: given.threshold !== undefined ? num(given.threshold, `${def.label} threshold`) : base.threshold,
+      step: given.step !== undefined ? Math.trunc(num(given.step, `${def.label} step`)) : base.step,
+      levels,
+    };
+  }
+  const mediumMaxDelta = rs.mediumMaxDelta !== undefined ? num(rs.mediumMaxDelta, "MEDIUM mismatch limit") : DEFAULT_RULE_SET.mediumMaxDelta;
+  return { name, mediumMaxDelta, rules };
+}
+
+/**
+ * Rules file as the browser exports it: { ruleSets, defaultRuleSet, ruleAssignments }, or just
+ * one rule set or a list of them. Assignments must name a rule set of the file.
+ */
+function parseRulesFile(data){
+  const bundle = !!data && !Array.isArray(data) && Array.isArray(data.ruleSets);
+  const ruleSets = (bundle ? data.ruleSets : Array.isArray(data) ? data : [data]).map(validateRuleSet);
+  if (!ruleSets.length) throw new Error("Rules file has no rule sets.");
+  const ruleAssignments = (bundle && Array.isArray(data.ruleAssignments) ? data.ruleAssignments : []).map(a => {
+    const out = { plant: String(a?.plant || "").trim(), prefix: String(a?.prefix || "").trim(), ruleSet: String(a?.ruleSet || "").trim() };
+    if (!ruleSets.some(r => r.name === out.ruleSet)) throw new Error(`Assignment ${out.plant || "*"}/${out.prefix || "*"} names unknown rule set "${out.ruleSet}".`);
+    return out;
+  });
+  const defaultRuleSet = bundle && ruleSets.some(r => r.name === data.defaultRuleSet) ? data.defaultRuleSet : ruleSets[0].name;
+  return { ruleSets, defaultRuleSet, ruleAssignments };
+}
+
+/**
+ * Rule set for a row: the most specific assignment wins (a longer material prefix
+ * beats a shorter one, and a plant match breaks ties); unassigned rows use fallback.
+ * Prefixes match the material with or without its leading zeros.
+ */
+function ruleSetFor(ruleSets, assignments, fallback, plant, material){
+  const bare = String(material).replace(/^0+(?=.)/, "");
+  let best = null, bestScore = -1;
+  for (const a of assignments || []){
+    if (a.plant && a.plant !== plant) continue;
+    if (a.prefix && !(material.startsWith(a.prefix) || bare.startsWith(a.prefix))) continue;
+    const score = (a.prefix ? a.prefix.length * 2 : 0) + (a.plant ? 1 : 0);
+    if (score > bestScore && ruleSets.some(r => r.name === a.ruleSet)){ best = a; bestScore = score; }
+  }
+  return best ? ruleSets.find(r => r.name === best.ruleSet) : fallback;
+}
+
+function expectationAndReason(row, tol, profile, ruleSet=DEFAULT_RULE_SET){
+  const sap = Number(row.SAP_SOH_MB5B || 0);
+  const delta = Number(row.Delta_SAP_minus_Expected || 0);
+
+  const reasons = [];
+
+  if (sap <= 0){
+    return { Expectation:"N/A", Summary:"SAP shows 0 on-hand (no stock expected)." };
+  }
+
+  let level;
+  if (Math.abs(delta) <= tol){
+    reasons.push("SAP SOH matches movement replay (consistent).");
+    level = EXPECTATION_LEVELS.indexOf("HIGH");
+  } else {
+    reasons.push(`SAP SOH differs from movement replay by ${delta.toFixed(2)} (mismatch).`);
+    level = EXPECTATION_LEVELS.indexOf((Math.abs(delta) <= ruleSet.mediumMaxDelta) ? "MEDIUM" : "LOW");
+  }
+
+  for (const def of EXPECTATION_RULES){
+    const rule = ruleSet.rules[def.id];
+    if (!rule || !rule.enabled || !def.fires(row, rule.threshold)) continue;
+    const before = EXPECTATION_LEVELS[level];
+    if (rule.step && rule.levels.includes(before)){
+      level = Math.max(0, Math.min(EXPECTATION_LEVELS.length - 1, level + rule.step));
+    }
+    const after = EXPECTATION_LEVELS[level];
+    reasons.push(after !== before ? `${def.text(row, profile)} [${before} → ${after}]` : def.text(row, profile));
+  }
+
+  return { Expectation: EXPECTATION_LEVELS[level], Summary: reasons.join(" ") };
+}
+
+function formatDate(d){
+  if (!d) return "";
+  try{
+    return d.toISOString().replace("T"," ").slice(0,19);
+  }catch{
+    return String(d);
+  }
+}
+
+/** Price list columns (MBEW-style export or a simple CSV) */
+const PRICE_ALIASES = {
+  "Plant": ["Valuation Area", "ValA", "Werk", "Bewertungskreis", "Division", "Domaine de valorisation", "Centro", "Ámbito de valoración", "BWKEY", "WERKS"],
+  "Material": ["Material Number", "Article", "Artikel", "MATNR"],
+  "Moving Price": [
+    "Moving Average Price", "Moving Avg. Price", "Moving price", "MAP", "Gleitender Durchschnittspreis", "Gleitender Preis",
+    "Prix moyen pondéré", "PMP", "Precio medio variable", "VERPR",
+  ],
+  "Standard Price": ["Standard price", "Std Price", "Standardpreis", "Prix standard", "Precio estándar", "STPRS"],
+  "Price": ["Unit Price", "Price per unit", "Preis", "Prix", "Precio"],
+  "Price Unit": ["Per", "Preiseinheit", "Unité de prix", "Unidad de precio", "Cantidad base", "PEINH"],
+  "Price Control": ["Price Ctrl", "Preissteuerung", "Contrôle de prix", "Control de precios", "VPRSV"],
+};
+
+/**
+ * Price list -> Map "plant|material" -> unit price. Price control S uses the standard
+ * price and V the moving average; without it the moving price wins when it is set.
+ * Rows without a plant are stored as "*|material" and apply to every plant.
+ */
+function parsePriceList(rows, matPad, decimal="dot", onBad=null){
+  const { mapping, missing } = resolveColumns(Object.keys(rows[0] || {}), PRICE_ALIASES);
+  if (missing.includes("Material")) throw new Error("Price file has no Material column.");
+  if (!mapping["Moving Price"] && !mapping["Standard Price"] && !mapping.Price){
+    throw new Error("Price file needs a moving average price, standard price or unit price column.");
+  }
+  const get = (r, field) => mapping[field] ? r[mapping[field]] : "";
+  const num = (r, field) => {
+    const n = parseNumberCell(get(r, field), decimal);
+    if (Number.isNaN(n) && onBad) onBad(field, get(r, field));
+    return Number.isFinite(n) ? n : 0.0;
+  };
+
+  const prices = new Map();
+  for (const r of rows){
+    const material = normMaterial(get(r, "Material"), matPad);
+    if (!material) continue;
+    const plant = normIntish(get(r, "Plant")) || "*";
+    const map = num(r, "Moving Price");
+    const std = num(r, "Standard Price");
+    const control = String(get(r, "Price Control") ?? "").trim().toUpperCase();
+    let price = control === "S" ? std : control === "V" ? map : (map || std);
+    if (!price) price = num(r, "Price");
+    const per = num(r, "Price Unit") || 1;
+    if (price) prices.set(`${plant}|${material}`, price / per);
+  }
+  return prices;
+}
+
+function priceFor(prices, plant, material){
+  if (!prices) return null;
+  const p = prices.get(`${plant}|${material}`) ?? prices.get(`*|${material}`);
+  return (p === undefined) ? null : p;
+}
+
+/** Material master columns (MARA/MEAN/EINA-style export or a store's own article list) */
+const MASTER_ALIASES = {
+  "Plant": ["Site", "Store", "Werk", "Filiale", "Division", "Centro", "WERKS"],
+  "Material": ["Material Number", "Article", "Article Number", "Artikel", "Artikelnummer", "Artículo", "MATNR"],
+  "EAN": ["EAN/UPC", "GTIN", "UPC", "Barcode", "International Article Number", "EAN11", "Strichcode", "Code barre", "Código de barras"],
+  "Merchandise Category": [
+    "Merch. Category", "Merchandise Cat.", "Material Group", "Matl Group", "Article Group", "Category",
+    "Warengruppe", "Materialgruppe", "Catégorie de marchandises", "Groupe de marchandises", "Categoría de mercancías", "Grupo de artículos", "MATKL",
+  ],
+  "Department": ["Dept", "Dept.", "Abteilung", "Rayon", "Département", "Departamento", "Sección"],
+  "Vendor": ["Supplier", "Vendor Name", "Supplier Name", "Lieferant", "Kreditor", "Fournisseur", "Proveedor", "LIFNR"],
+  "Location": [
+    "Aisle", "Fixture", "Shelf", "Shelf Location", "Aisle Location", "Bay", "Planogram Location", "Storage Bin",
+    "Gang", "Regal", "Lagerplatz", "Allée", "Emplacement", "Pasillo", "Ubicación", "LGPBE",
+  ],
+};
+
+/** Row fields filled from the material master */
+const MASTER_FIELDS = ["EAN", "Merch_Category", "Department", "Vendor", "Aisle_Location"];
+
+/**
+ * Material master rows -> Map "plant|material" -> { EAN, Merch_Category, Department, Vendor,
+ * Aisle_Location }, with "*" for the plant when the file has none (fixture locations are often
+ * per store, the rest per article). A later row fills attributes an earlier one left blank.
+ * Each entry also keeps every EAN of the material in eans, for resolving gap scans.
+ */
+function parseMaterialMaster(rows, matPad){
+  const { mapping, missing } = resolveColumns(Object.keys(rows[0] || {}), MASTER_ALIASES);
+  if (missing.includes("Material")) throw new Error("Material master has no Material column.");
+  const attrs = { "EAN": "EAN", "Merchandise Category": "Merch_Category", "Department": "Department", "Vendor": "Vendor", "Location": "Aisle_Location" };
+  if (!Object.keys(attrs).some(f => mapping[f])){
+    throw new Error("Material master needs at least one of: EAN, merchandise category, department, vendor, aisle/fixture location.");
+  }
+  const get = (r, field) => mapping[field] ? normIntish(r[mapping[field]]) : "";
+
+  const master = new Map();
+  for (const r of rows){
+    const material = normMaterial(get(r, "Material"), matPad);
+    if (!material) continue;
+    const k = `${get(r, "Plant") || "*"}|${material}`;
+    if (!master.has(k)) master.set(k, { ...Object.fromEntries(MASTER_FIELDS.map(f => [f, ""])), eans: [] });
+    const m = master.get(k);
+    for (const [field, to] of Object.entries(attrs)){
+      const v = get(r, field);
+      if (v && !m[to]) m[to] = v;
+    }
+    const ean = normEan(get(r, "EAN"));
+    if (ean && !m.eans.includes(ean)) m.eans.push(ean);
+  }
+  return master;
+}
+
+/** Master attributes of one item: the plant's own entry, with blanks taken from the all-plant one */
+function masterFor(master, plant, material){
+  const own = master.get(`${plant}|${material}`);
+  const any = master.get(`*|${material}`);
+  if (!own && !any) return null;
+  return Object.fromEntries(MASTER_FIELDS.map(f => [f, (own && own[f]) || (any && any[f]) || ""]));
+}
+
+/** Join the master onto decision list rows; returns the number of rows it covered */
+function applyMaterialMaster(rows, master){
+  let matched = 0;
+  for (const r of rows){
+    const m = masterFor(master, r.Plant, r.Material);
+    for (const f of MASTER_FIELDS) r[f] = m ? m[f] : "";
+    if (m) matched++;
+  }
+  return matched;
+}
+
+/** EAN -> [material] from the master's EAN column, used for gap scans when no EAN mapping is loaded */
+function masterEanMap(master){
+  const map = new Map();
+  for (const [k, m] of master){
+    const material = k.slice(k.indexOf("|") + 1);
+    for (const ean of m.eans){
+      if (!map.has(ean)) map.set(ean, []);
+      if (!map.get(ean).includes(material)) map.get(ean).push(material);
+    }
+  }
+  return map;
+}
+
+/** Unit conversion columns (MARM-style export: one row per material and alternative unit) */
+const UOM_ALIASES = {
+  "Material": ["Material Number", "Article", "Artikel", "MATNR"],
+  "Alternative Unit": ["Alt. Unit", "AUn", "Alternative Unit of Measure", "Alternative Mengeneinheit", "AME", "Unité de qté alternative", "UM alternativa", "MEINH", "Unit"],
+  "Numerator": ["Counter", "Numerator for Conversion", "Zähler", "Numérateur", "Numerador", "UMREZ"],
+  "Denominator": ["Denominator for Conversion", "Nenner", "Dénominateur", "Denominador", "UMREN"],
+  "Base Unit": ["Base Unit of Measure", "BUn", "Basismengeneinheit", "BME", "Unité de quantité de base", "UMB", "MEINS"],
+};
+
+/**
+ * UoM file -> Map material -> { base, factors: Map unit -> base units per unit }.
+ * 1 alternative unit = Numerator / Denominator base units (SAP's UMREZ/UMREN). Without a
+ * base-unit column the base is the unit with a 1/1 factor, when there is exactly one.
+ */
+function parseUomFile(rows, matPad, decimal="dot", onBad=null){
+  const { mapping, missing } = resolveColumns(Object.keys(rows[0] || {}), UOM_ALIASES);
+  const need = missing.filter(f => f !== "Base Unit");
+  if (need.length) throw new Error(`UoM file missing columns: ${need.join(", ")}`);
+  const get = (r, field) => mapping[field] ? r[mapping[field]] : "";
+
+  const uom = new Map();
+  for (const r of rows){
+    const material = normMaterial(get(r, "Material"), matPad);
+    const unit = normUnit(get(r, "Alternative Unit"));
+    if (!material || !unit) continue;
+    const num = parseNumberCell(get(r, "Numerator"), decimal);
+    const den = parseNumberCell(get(r, "Denominator"), decimal) ?? 1;
+    if (!Number.isFinite(num) || !Number.isFinite(den) || !num || !den){
+      if (onBad) onBad("Conversion factor", `${material} ${unit}: ${get(r, "Numerator")}/${get(r, "Denominator")}`);
+      continue;
+    }
+    if (!uom.has(material)) uom.set(material, { base: "", factors: new Map() });
+    const m = uom.get(material);
+    m.factors.set(unit, num / den);
+    const base = normUnit(get(r, "Base Unit"));
+    if (base) m.base = base;
+  }
+  for (const m of uom.values()){
+    if (m.base) { m.factors.set(m.base, 1); continue; }
+    const ones = [...m.factors].filter(([, f]) => f === 1).map(([u]) => u);
+    if (ones.length === 1) m.base = ones[0];
+  }
+  return uom;
+}
+
+/** Conversion of unit to the material's base unit: { factor, base }, or null when not known */
+function uomFactor(uom, material, unit){
+  if (!unit) return { factor: 1, base: "" };
+  const m = uom ? uom.get(material) : null;
+  if (!m) return null;
+  if (unit === m.base) return { factor: 1, base: m.base };
+  const f = m.factors.get(unit);
+  return (f === undefined) ? null : { factor: f, base: m.base };
+}
+
+/** Share of the SAP stock value assumed lost for each Expectation (value at risk estimate) */
+const VALUE_RISK_BY_EXPECTATION = { "LOW":0.75, "MEDIUM":0.4, "HIGH":0.1, "N/A":0 };
+
+/** Rank order of the Expectation levels in the decision list (most urgent first) */
+const EXPECTATION_ORDER = { "LOW":0, "MEDIUM":1, "HIGH":2, "N/A":3 };
+
+/** Decision list orderings offered in the UI (key -> label) */
+const SORT_OPTIONS = {
+  default: "Stock, Expectation, SAP qty",
+  valueAtRisk: "Value at risk",
+  deltaValue: "Value of delta",
+  sapValue: "SAP stock value",
+  aisle: "Department, then aisle (walking order)",
+};
+
+/** Original ordering: SAP stock > 0 first, then LOW first, then SAP desc */
+function compareDefault(a, b){
+  const ap = (a.SAP_SOH_MB5B > 0) ? 1 : 0;
+  const bp = (b.SAP_SOH_MB5B > 0) ? 1 : 0;
+  if (ap !== bp) return bp - ap;
+
+  const ar = EXPECTATION_ORDER[a.Expectation] ?? 9;
+  const br = EXPECTATION_ORDER[b.Expectation] ?? 9;
+  if (ar !== br) return ar - br;
+
+  return (b.SAP_SOH_MB5B || 0) - (a.SAP_SOH_MB5B || 0);
+}
+
+/**
+ * Sort the decision list in place; value sorts put rows without a price last, the aisle
+ * order (material master) puts rows without a department or aisle last.
+ */
+function sortDecisionList(rows, sortBy="default"){
+  if (sortBy === "aisle"){
+    return rows.sort((a, b) => compareAisle(a.Department, b.Department)
+      || String(a.Plant).localeCompare(String(b.Plant))
+      || String(a["Storage Location"]).localeCompare(String(b["Storage Location"]))
+      || compareAisle(a.Aisle_Location, b.Aisle_Location)
+      || compareDefault(a, b));
+  }
+  const valueOf = {
+    valueAtRisk: (r) => r.Value_At_Risk,
+    deltaValue: (r) => (r.Delta_Value === null || r.Delta_Value === undefined) ? null : Math.abs(r.Delta_Value),
+    sapValue: (r) => r.SAP_Value,
+  }[sortBy];
+  if (!valueOf) return rows.sort(compareDefault);
+  return rows.sort((a, b) => {
+    const av = valueOf(a), bv = valueOf(b);
+    const an = (av === null || av === undefined), bn = (bv === null || bv === undefined);
+    if (an !== bn) return an ? 1 : -1;
+    if (!an && av !== bv) return bv - av;
+    return compareDefault(a, b);
+  });
+}
+
+/** Handheld gap-scan list columns; files without a recognised header are read as code[, timestamp] */
+const GAP_SCAN_ALIASES = {
+  "Code": [
+    "EAN", "EAN/UPC", "GTIN", "UPC", "Barcode", "Bar Code", "Scanned Code", "Scan Code",
+    "Article", "Article Number", "Material", "Artikel", "Artikelnummer", "Strichcode", "Code barre", "Código de barras", "EAN11",
+  ],
+  "Scan Time": ["Timestamp", "Scanned At", "Scan Timestamp", "Date Time", "Datetime", "Zeitstempel", "Scanzeit", "Horodatage", "Fecha y hora"],
+  "Scan Date": ["Date", "Datum", "Fecha"],
+  "Scan Clock": ["Time", "Uhrzeit", "Heure", "Hora"],
+  "Plant": ["Store", "Site", "Werk", "Filiale", "Division", "Tienda", "Centro"],
+  "Storage Location": ["SLoc", "Lagerort", "Magasin", "Magasin de stockage", "Almacén"],
+};
+
+/** EAN mapping columns (MEAN-style export or a simple EAN;Material list) */
+const EAN_MAP_ALIASES = {
+  "EAN": ["EAN/UPC", "GTIN", "UPC", "Barcode", "International Article Number", "EAN11", "Strichcode", "Code barre", "Código de barras"],
+  "Material": ["Article", "Article Number", "Material Number", "Artikel", "Artikelnummer", "Artículo", "MATNR"],
+};
+
+/** EANs compared as digits only, without leading zeros (UPC-A vs EAN-13, numeric Excel cells) */
+function normEan(x){
+  return String(x ?? "").replace(/\D+/g, "").replace(/^0+/, "");
+}
+
+/** EAN mapping rows -> Map normalised EAN -> [material] (one EAN can sit on several articles) */
+function parseEanMap(rows, matPad){
+  const { mapping, missing } = resolveColumns(Object.keys(rows[0] || {}), EAN_MAP_ALIASES);
+  if (missing.length) throw new Error(`EAN mapping missing columns: ${missing.join(", ")}`);
+  const map = new Map();
+  for (const r of rows){
+    const ean = normEan(r[mapping.EAN]);
+    const material = normMaterial(r[mapping.Material], matPad);
+    if (!ean || !material) continue;
+    if (!map.has(ean)) map.set(ean, []);
+    if (!map.get(ean).includes(material)) map.get(ean).push(material);
+  }
+  return map;
+}
+
+/**
+ * Gap-scan file (rows as arrays) -> { scans: [{ code, time, plant, sloc }], dateFormat }. The first
+ * row is a header when it names a code column; otherwise column 1 is the code and column 2 the scan time.
+ * dateFormat may be "auto" (sampled from the file); onBad(field, value) gets unreadable scan times.
+ */
+function parseGapScans(rows2d, slocPad, dateFormat="auto", onBad=null){
+  const first = (rows2d[0] || []).map(c => String(c ?? "").trim());
+  const { mapping } = resolveColumns(first, GAP_SCAN_ALIASES);
+  let col = { code: 0, time: 1 };
+  let start = 0;
+  if (mapping.Code){
+    const idx = (field) => mapping[field] ? first.indexOf(mapping[field]) : -1;
+    col = { code: idx("Code"), time: idx("Scan Time"), date: idx("Scan Date"), clock: idx("Scan Clock"), plant: idx("Plant"), sloc: idx("Storage Location") };
+    start = 1;
+  }
+  const cell = (r, i) => (i === undefined || i < 0) ? "" : r[i];
+  const body = rows2d.slice(start);
+  const order = resolveFormats({ dateFormat },
+    body.slice(0, FORMAT_SAMPLE_ROWS).flatMap(r => [cell(r, col.time), cell(r, col.date)]), []).date;
+
+  const scans = [];
+  for (const r of body){
+    const code = String(cell(r, col.code) ?? "").trim();
+    if (!code) continue;
+    let time = parseDateCell(cell(r, col.time), order);
+    if (!time && !isBlankCell(cell(r, col.date))){
+      const d = parseDateCell(cell(r, col.date), order);
+      time = d ? new Date(d.getTime() + parseTimeToMs(cell(r, col.clock))) : null;
+      if (!d && onBad) onBad("Scan Date", cell(r, col.date));
+    } else if (!time && !isBlankCell(cell(r, col.time)) && onBad){
+      onBad("Scan Time", cell(r, col.time));
+    }
+    const plant = normIntish(cell(r, col.plant));
+    const slocRaw = cell(r, col.sloc);
+    scans.push({ code, time, plant, sloc: (slocRaw === "" ? "" : normSloc(slocRaw, slocPad)) });
+  }
+  return { scans, dateFormat: order };
+}
+
+/**
+ * Sales and receipts posted after the scan, as a short note ("" when there were none). Reversed
+ * pairs are left out; a reversal without a pair (a partial one) nets the quantity of its class.
+ */
+function postScanActivity(movements, scanTime, profile){
+  if (!scanTime) return "";
+  const tally = { sale: { n:0, qty:0, last:null }, receipt: { n:0, qty:0, last:null } };
+  for (const m of movements || []){
+    if (m.Reversed || !m["Post DateTime"] || m["Post DateTime"] <= scanTime) continue;
+    const t = tally[effectiveClass(profile, m["Movement Type"])];
+    if (!t) continue;
+    t.qty += m.Qty;
+    if (mvtClass(profile, m["Movement Type"]).cls === "reversal") continue;
+    t.n++;
+    if (!t.last || m["Post DateTime"] > t.last) t.last = m["Post DateTime"];
+  }
+  const parts = [];
+  if (tally.sale.n) parts.push(`${tally.sale.n} sale(s) (${tally.sale.qty}) after the scan, last ${formatDate(tally.sale.last)}`);
+  if (tally.receipt.n) parts.push(`${tally.receipt.n} receipt(s) (+${tally.receipt.qty}) after the scan, last ${formatDate(tally.receipt.last)}`);
+  return parts.join("; ");
+}
+
+/**
+ * Attach scans to decision-list rows. A code is looked up in the EAN mapping first and
+ * otherwise taken as an article number; an optional plant/SLoc on the scan narrows the match.
+ * Matched rows get Gap_Scan, Gap_Scan_Code, Gap_Scan_Time (latest scan) and Post_Scan_Activity.
+ * Returns { scans, matchedRows, unresolved: [{ Code, Scan_Time, Plant, Storage Location, Reason }] }.
+ */
+function applyGapScans(rows, scans, eanMap, movements, profile, matPad){
+  const byMaterial = new Map();
+  for (const r of rows){
+    if (!byMaterial.has(r.Material)) byMaterial.set(r.Material, []);
+    byMaterial.get(r.Material).push(r);
+  }
+
+  const unresolved = [];
+  const matched = new Set();
+  for (const s of scans){
+    const viaEan = eanMap ? eanMap.get(normEan(s.code)) : null;
+    const materials = viaEan || [normMaterial(s.code, matPad)];
+    const hits = materials.flatMap(m => byMaterial.get(m) || [])
+      .filter(r => (!s.plant || r.Plant === s.plant) && (!s.sloc || r["Storage Location"] === s.sloc));
+
+    if (!hits.length){
+      const where = [s.plant && `plant ${s.plant}`, s.sloc && `SLoc ${s.sloc}`].filter(Boolean).join(", ");
+      const reason = (!viaEan && !byMaterial.has(materials[0]))
+        ? (eanMap ? "Not in the EAN mapping and not a known article number" : "Not a known article number (no EAN mapping loaded)")
+        : `No MB5B row for ${materials.join("/")}${where ? ` in ${where}` : ""}`;
+      unresolved.push({ Code: s.code, Scan_Time: s.time, Plant: s.plant, "Storage Location": s.sloc, Reason: reason });
+      continue;
+    }
+    for (const r of hits){
+      matched.add(r);
+      r.Gap_Scan = true;
+      r.Gap_Scan_Code = s.code;
+      if (s.time && (!r.Gap_Scan_Time || s.time > r.Gap_Scan_Time)) r.Gap_Scan_Time = s.time;
+    }
+  }
+
+  for (const r of matched){
+    r.Post_Scan_Activity = postScanActivity(movements.get(r.Key), r.Gap_Scan_Time, profile);
+    if (r.Post_Scan_Activity) r.Summary = `⚠ Since gap scan: ${r.Post_Scan_Activity}. ${r.Summary}`;
+  }
+  return { scans: scans.length, matchedRows: matched.size, unresolved };
+}
+
+/**
+ * Build the decision list from cleaned MB51 and parsed MB5B rows.
+ * opts: { tol, profile, asOfInput, ruleSets, defaultRuleSet, ruleAssignments, prices, sortBy, shrinkWindow (days, default 365) }; onProgress(done, total) is called while keys are processed.
+ * Returns { rows, asOf, asOfSource, overlap, transfers, replayOnly } (transfers: see pairTransfers;
+ * replayOnly: MB51-only storage locations of the materials in rows, by plant|material).
+ */
+function analyze(mb51, mb5b, opts, onProgress=null){
+  const { tol, profile } = opts;
+  const ruleSets = opts.ruleSets || [DEFAULT_RULE_SET];
+  const defaultRuleSet = ruleSets.find(r => r.name === opts.defaultRuleSet) || ruleSets[0];
+  const asOfInfo = resolveAsOf(opts.asOfInput || "", mb5b);
+  const asOf = asOfInfo.date;
+  // pair reversals over every movement: the ledger and post-scan activity after the as-of date need the flags too
+  markReversals(mb51, profile);
+  const replay = movementsUpTo(mb51, asOf);
+
+  const expectedMap = computeExpectedSohMb51(replay);
+
+  const lastCnt = lastEvent(replay, mvtsOfClass(profile, "count_gain", "count_loss"), "LastCount");
+  const lastSale = lastEvent(replay, mvtsOfClass(profile, "sale"), "LastSale");
+  const lastRec = lastEvent(replay, mvtsOfClass(profile, "receipt"), "LastReceipt");
+
+  // Count-loss sum (702 in the standard profile)
+  const loss702Map = lossSumByKey(replay, profile);
+  const velocity = salesVelocity(replay, profile, asOf || new Date());
+  const replayByKey = groupByKey(replay);
+
+  const unitsByKey = new Map();
+  for (const r of replay){
+    if (!r.Unit) continue;
+    if (!unitsByKey.has(r.Key)) unitsByKey.set(r.Key, new Set());
+    unitsByKey.get(r.Key).add(r.Unit);
+  }
+
+  const rows = mb5b.map((b, i) => {
+    if (onProgress && i % 2000 === 0) onProgress(i, mb5b.length);
+    const expected = expectedMap.get(b.Key) || 0.0;
+    const known = b.SAP_SOH_MB5B !== null; // null: MB5B block could not be split per SLoc
+    const delta = known ? (b.SAP_SOH_MB5B || 0) - expected : null;
+
+    const row = {
+      ...b,
+      Expected_SOH_MB51: expected,
+      Delta_SAP_minus_Expected: delta,
+    };
+
+    Object.assign(row, lastCnt.get(b.Key) || {});
+    Object.assign(row, lastSale.get(b.Key) || {});
+    Object.assign(row, lastRec.get(b.Key) || {});
+
+    row.Days_Since_LastCount = row.LastCount_DT ? daysSince(row.LastCount_DT, asOf) : NaN;
+    row.Days_Since_LastSale = row.LastSale_DT ? daysSince(row.LastSale_DT, asOf) : NaN;
+    row.Days_Since_LastReceipt = row.LastReceipt_DT ? daysSince(row.LastReceipt_DT, asOf) : NaN;
+    row.Replay_AsOf = asOf;
+    row.Loss702_Sum = loss702Map.get(b.Key) || 0.0;
+    Object.assign(row, velocityFields(row, velocity.get(b.Key)));
+    Object.assign(row, shrinkMetrics(countCyclesOf(replayByKey.get(b.Key) || [], profile), asOf || new Date(),
+      opts.shrinkWindow || DEFAULT_SHRINK_WINDOW));
+
+    const ruleSet = ruleSetFor(ruleSets, opts.ruleAssignments, defaultRuleSet, row.Plant, row.Material);
+    row.Rule_Set = ruleSet.name;
+    row.Phantom_Suspect = PHANTOM_RULE.fires(row, ruleSet.rules.phantom.threshold);
+    const expRes = known ? expectationAndReason(row, tol, profile, ruleSet)
+      : { Expectation:"N/A", Summary:"SAP stock for this SLoc is unknown, so it cannot be compared with the replay." };
+    row.Expectation = expRes.Expectation;
+    row.Summary = expRes.Summary;
+    if (row.MB5B_Check && row.MB5B_Check !== "OK") row.Summary = `⚠ MB5B ${row.MB5B_Check}: ${row.MB5B_Note} ${row.Summary}`;
+
+    // Movements left in a unit other than MB5B's base unit make the replay meaningless
+    const units = [...(unitsByKey.get(b.Key) || [])];
+    if (!row.Base_Unit && units.length === 1) row.Base_Unit = units[0];
+    const foreign = row.Base_Unit ? units.filter(u => u !== row.Base_Unit) : [];
+    row.Unit_Note = "";
+    if (foreign.length){
+      row.Unit_Note = `MB51 has quantities in ${foreign.join("/")} that could not be converted to the base unit ${row.Base_Unit} (load a UoM file or export MB51 with the base-unit quantity).`;
+    } else if (units.length > 1){
+      row.Unit_Note = `MB51 mixes ${units.join("/")} and the base unit is unknown (load a UoM file or export MB51 with the base-unit quantity).`;
+    }
+    if (row.Unit_Note) row.Summary = `⚠ Units: ${row.Unit_Note} ${row.Summary}`;
+
+    const price = priceFor(opts.prices, row.Plant, row.Material);
+    row.Unit_Price = price;
+    row.SAP_Value = (price === null || !known) ? null : row.SAP_SOH_MB5B * price;
+    row.Delta_Value = (price === null || !known) ? null : delta * price;
+    row.Value_At_Risk = (price === null || !known) ? null : Math.max(0, row.SAP_Value) * (VALUE_RISK_BY_EXPECTATION[row.Expectation] ?? 0);
+
+    return row;
+  });
+  if (onProgress) onProgress(mb5b.length, mb5b.length);
+
+  // Other storage locations of the same material: transfers and where stock likely sits
+  const transfers = pairTransfers(replay, profile);
+  const lastMoves = lastTransfers(transfers);
+  const slocsByMaterial = new Map(); // plant|material -> Map sloc -> stock (SAP, else replay)
+  const addSloc = (key, qty) => {
+    const mat = materialOf(key);
+    if (!slocsByMaterial.has(mat)) slocsByMaterial.set(mat, new Map());
+    const m = slocsByMaterial.get(mat);
+    if (!m.has(key.slice(mat.length + 1))) m.set(key.slice(mat.length + 1), qty);
+  };
+  for (const r of rows) if (r.SAP_SOH_MB5B !== null) addSloc(r.Key, Number(r.SAP_SOH_MB5B || 0));
+  for (const [key, qty] of expectedMap) addSloc(key, qty);
+  for (const row of rows){
+    Object.assign(row, lastMoves.get(row.Key) || {});
+    const mat = materialOf(row.Key);
+    const stock = slocsByMaterial.get(mat);
+    if (!stock || stock.size < 2) continue;
+    const loc = likelyLocation(row, transfers.get(mat), (sl) => stock.get(sl) || 0,
+      (sl) => lastSale.get(`${mat}|${sl}`)?.LastSale_DT || null, [...stock.keys()]);
+    if (!loc) continue;
+    row.Likely_Location = loc.sloc;
+    row.Likely_Location_Note = loc.note;
+    row.Summary = `${row.Summary} Likely location: ${loc.note}.`;
+  }
+
+  sortDecisionList(rows, opts.sortBy);
+
+  // Storage locations MB51 knows for a material but MB5B does not list (no SAP stock to compare)
+  const mb5bKeys = new Set(mb5b.map(r => r.Key));
+  const mb5bMaterials = new Set(rows.map(r => materialOf(r.Key)));
+  const replayOnly = new Map(); // plant|material -> [{ Key, Storage Location, Expected_SOH_MB51, last sale/transfer fields }]
+  for (const [key, qty] of expectedMap){
+    const mat = materialOf(key);
+    if (mb5bKeys.has(key) || !mb5bMaterials.has(mat)) continue;
+    if (!replayOnly.has(mat)) replayOnly.set(mat, []);
+    replayOnly.get(mat).push({
+      Key: key, "Storage Location": key.slice(mat.length + 1), Expected_SOH_MB51: qty,
+      ...(lastSale.get(key) || {}), ...(lastMoves.get(key) || {}),
+    });
+  }
+
+  const mb51Keys = new Set(mb51.map(r => r.Key));
+  let overlap = 0;
+  for (const k of mb51Keys) if (mb5bKeys.has(k)) overlap++;
+
+  return { rows, asOf, asOfSource: asOfInfo.source, overlap, transfers, replayOnly };
+}
+
+/**
+ * Compare two runs' decision lists by key. A key is a mismatch when |SAP - Expected| > tol.
+ * Returns { expectationChanged, newMismatches, resolvedMismatches, deltaMoved, onlyOlder, onlyNewer },
+ * the first four as lists of { Key, Plant, Material, Material Description, Old/New_Expectation, Old/New_Delta, Delta_Change }.
+ */
+function compareRuns(olderRows, newerRows, tol){
+  const older = new Map(olderRows.map(r => [r.Key, r]));
+  const newer = new Map(newerRows.map(r => [r.Key, r]));
+  const isMismatch = (r) => !!r && Math.abs(r.Delta_SAP_minus_Expected || 0) > tol;
+  const entry = (o, n) => {
+    const oldDelta = o ? (o.Delta_SAP_minus_Expected || 0) : null;
+    const newDelta = n ? (n.Delta_SAP_minus_Expected || 0) : null;
+    const r = n || o;
+    return {
+      Key: r.Key, Plant: r.Plant, Material: r.Material, "Material Description": r["Material Description"] || "",
+      Old_Expectation: o ? o.Expectation : "", New_Expectation: n ? n.Expectation : "",
+      Old_Delta: oldDelta, New_Delta: newDelta,
+      Delta_Change: (o && n) ? newDelta - oldDelta : null,
+    };
+  };
+
+  const res = { expectationChanged: [], newMismatches: [], resolvedMismatches: [], deltaMoved: [], onlyOlder: 0, onlyNewer: 0 };
+  for (const [key, n] of newer){
+    const o = older.get(key);
+    if (!o) res.onlyNewer++;
+    if (o && o.Expectation !== n.Expectation) res.expectationChanged.push(entry(o, n));
+    if (isMismatch(n) && !isMismatch(o)) res.newMismatches.push(entry(o, n));
+    if (isMismatch(o) && !isMismatch(n)) res.resolvedMismatches.push(entry(o, n));
+    if (o && Math.abs((n.Delta_SAP_minus_Expected || 0) - (o.Delta_SAP_minus_Expected || 0)) > tol) res.deltaMoved.push(entry(o, n));
+  }
+  for (const key of older.keys()) if (!newer.has(key)) res.onlyOlder++;
+  res.deltaMoved.sort((a, b) => Math.abs(b.Delta_Change) - Math.abs(a.Delta_Change));
+  return res;
+}
+
+/** Values present on both sides once leading zeros are ignored, but written differently */
+function zeroPadPairs(mb51Values, mb5bValues){
+  const strip = (v) => v.replace(/^0+(?=\d)/, "");
+  const byStripped = new Map();
+  for (const v of mb51Values) if (/^\d+$/.test(v)) byStripped.set(strip(v), v);
+  const pairs = [];
+  for (const v of mb5bValues){
+    if (!/^\d+$/.test(v)) continue;
+    const o = byStripped.get(strip(v));
+    if (o !== undefined && o !== v) pairs.push({ MB51: o, MB5B: v });
+  }
+  return pairs;
+}
+
+/** "MB5B materials look 18-digit, set Material padding to 18" from the zero-padded side of each pair */
+function paddingSuggestion(pairs, noun, setting){
+  const lengths = new Map();
+  let mb5bLonger = 0;
+  for (const p of pairs){
+    const longer = (p.MB5B.length > p.MB51.length) ? p.MB5B : p.MB51;
+    if (longer === p.MB5B) mb5bLonger++;
+    lengths.set(longer.length, (lengths.get(longer.length) || 0) + 1);
+  }
+  const [len] = [...lengths].sort((a, b) => b[1] - a[1])[0];
+  const side = (mb5bLonger * 2 >= pairs.length) ? "MB5B" : "MB51";
+  return `${side} ${noun} look ${len}-digit, set ${setting} to ${len}.`;
+}
+
+/** Parse-log fields that hold dates (the rest are quantities, prices, factors) */
+const DATE_FIELDS = new Set(["Posting Date", "Scan Date", "Scan Time"]);
+
+/**
+ * Reconcile MB51 and MB5B coverage and collect data problems for the Data Issues tab
+ * (with withMaster, also the items the material master does not cover; with mb51Files, the
+ * readMb51 stats, also the files replayed in their base-unit quantity column).
+ * Returns [{ id, title, count, fix, columns, rows }]; count can exceed rows.length where
+ * only the first rows are kept (parse log samples).
+ */
+function buildDataIssues(mb51, mb5b, rows, parseIssues, settings, withMaster=false, mb51Files=[]){
+  const issues = [];
+  const add = (id, title, count, fix, columns, list) => issues.push({ id, title, count, fix, columns, rows: list });
+
+  const mb5bKeys = new Set(mb5b.map(r => r.Key));
+  const mb51ByKey = new Map();
+  for (const r of mb51){
+    let k = mb51ByKey.get(r.Key);
+    if (!k){
+      k = { Key: r.Key, Plant: r.Plant, Material: r.Material, "Storage Location": r["Storage Location"], Movements: 0, Net_Qty: 0 };
+      mb51ByKey.set(r.Key, k);
+    }
+    k.Movements++;
+    k.Net_Qty += r.Qty || 0;
+  }
+
+  const matPairs = zeroPadPairs(new Set(mb51.map(r => r.Material)), new Set(mb5b.map(r => r.Material)));
+  const slocPairs = zeroPadPairs(new Set(mb51.map(r => r["Storage Location"])), new Set(mb5b.map(r => r["Storage Location"])));
+  const padFixes = [];
+  if (matPairs.length) padFixes.push(paddingSuggestion(matPairs, "materials", "Material padding"));
+  if (slocPairs.length) padFixes.push(paddingSuggestion(slocPairs, "storage locations", "SLoc padding"));
+
+  const mb51Only = [...mb51ByKey.values()].filter(k => !mb5bKeys.has(k.Key));
+  add("mb51Only", "MB51 keys with no MB5B stock", mb51Only.length,
+    padFixes.length
+      ? `Keys differ only by leading zeros: ${padFixes.join(" ")}`
+      : "MB5B was probably run for a narrower selection (plants, storage locations, materials) than MB51. Re-run MB5B with the same selection; these keys are not analysed.",
+    ["Key", "Plant", "Material", "Storage Location", "Movements", "Net_Qty"], mb51Only);
+
+  const noHistory = mb5b.filter(r => !mb51ByKey.has(r.Key)).map(r => ({
+    Key: r.Key, "Material Description": r["Material Description"], SAP_SOH_MB5B: r.SAP_SOH_MB5B, Base_Unit: r.Base_Unit || "",
+  }));
+  add("mb5bNoHistory", "MB5B stock with no MB51 history", noHistory.length,
+    "Expected_SOH_MB51 is just 0 for these. Extend the MB51 date range (ideally back before the last count) or widen its plant/SLoc selection.",
+    ["Key", "Material Description", "SAP_SOH_MB5B", "Base_Unit"], noHistory);
+
+  const noClosing = mb5b.filter(r => r.MB5B_No_Closing).map(r => ({ Key: r.Key, "Material Description": r["Material Description"] }));
+  add("noClosing", "MB5B blocks without closing stock", noClosing.length,
+    "No 'Stock on' closing line (or an empty Closing Stock cell) was found, so SAP SOH was taken as 0. Export MB5B with totals lines, or as a flat list with the closing stock column.",
+    ["Key", "Material Description"], noClosing);
+
+  const multi = mb5b.filter(r => r.MB5B_Check).map(r => ({ Key: r.Key, MB5B_Check: r.MB5B_Check, MB5B_Note: r.MB5B_Note }));
+  add("multiSloc", "Multi-location MB5B blocks", multi.length,
+    "Blocks covering several storage locations are split using the detail quantities. NOT SPLIT rows have no SAP stock to compare; run MB5B per storage location or include the quantity column in the detail list.",
+    ["Key", "MB5B_Check", "MB5B_Note"], multi);
+
+  const flatten = (list) => list.flatMap(e => e.samples.map(s => ({ Source: e.source, Field: e.field, Key: s.key, Value: s.value })));
+  const dateIssues = parseIssues.filter(e => DATE_FIELDS.has(e.field));
+  const otherIssues = parseIssues.filter(e => !DATE_FIELDS.has(e.field));
+  const sum = (list) => list.reduce((a, e) => a + e.count, 0);
+  add("badDates", "Unparseable dates", sum(dateIssues),
+    (settings.dateFormat === "auto")
+      ? "Rows are kept without a date, so they are replayed whatever the as-of date. If many dates fail, set Date format explicitly instead of auto-detect."
+      : `Rows are kept without a date, so they are replayed whatever the as-of date. Check that the files really use the ${settings.dateFormat} date format.`,
+    ["Source", "Field", "Key", "Value"], flatten(dateIssues));
+  add("badValues", "Unreadable quantities and values", sum(otherIssues),
+    "Quantities that could not be read count as 0. Check Number format (decimal comma vs point); for unit conversion rows load a UoM file that covers the unit.",
+    ["Source", "Field", "Key", "Value"], flatten(otherIssues));
+
+  const baseQty = mb51Files.filter(f => f.baseUnitQty)
+    .map(f => ({ File: f.file, Replayed_Column: f.baseUnitColumn, Entry_Column: f.mapping["Qty in unit of entry"] || "" }));
+  add("baseUnitQty", "MB51 files replayed in the base-unit quantity", baseQty.length,
+    "These files have a base-unit quantity column, so it is replayed (and sets the number format) instead of the quantity in unit of entry. If that column is not in the base unit, remove it from the export.",
+    ["File", "Replayed_Column", "Entry_Column"], baseQty);
+
+  const units = rows.filter(r => r.Unit_Note).map(r => ({ Key: r.Key, Base_Unit: r.Base_Unit, Unit_Note: r.Unit_Note }));
+  add("units", "Unconverted units", units.length,
+    "Load a UoM conversion file, or export MB51 with the base-unit quantity and base unit columns.",
+    ["Key", "Base_Unit", "Unit_Note"], units);
+
+  if (withMaster){
+    const noMaster = rows.filter(r => !MASTER_FIELDS.some(f => r[f]))
+      .map(r => ({ Key: r.Key, "Material Description": r["Material Description"], SAP_SOH_MB5B: r.SAP_SOH_MB5B }));
+    add("noMaster", "Items not in the material master", noMaster.length,
+      "These have no category, department or aisle, so they sort last on task lists. Check Material padding, or export the master for all plants and articles in MB5B.",
+      ["Key", "Material Description", "SAP_SOH_MB5B"], noMaster);
+  }
+
+  const padRows = [
+    ...matPairs.map(p => ({ Field: "Material", MB51: p.MB51, MB5B: p.MB5B })),
+    ...slocPairs.map(p => ({ Field: "Storage Location", MB51: p.MB51, MB5B: p.MB5B })),
+  ];
+  add("padding", "Inconsistent padding between MB51 and MB5B", padRows.length,
+    padFixes.join(" ") || "Material and SLoc numbers are written the same way in both files.",
+    ["Field", "MB51", "MB5B"], padRows);
+
+  return issues;
+}
+
+/** What happened to a gap, in the order a shift works through it */
+const WORKFLOW_STATUSES = ["Open", "Checked backroom", "Found", "Counted", "Written off"];
+
+/**
+ * Per-item progress kept in the browser against the key and carried in the export.
+ * Status_Expectation is the Expectation when the status was last set, so the accuracy
+ * report keeps the prediction that was acted on even after later runs change it.
+ */
+const WORKFLOW_FIELDS = ["Status", "Counted_Qty", "Note", "Status_By", "Status_DT", "Status_Expectation"];
+
+/** Decision list rows with each key's saved progress (entries: { key: entry }); no entry is Open */
+function applyWorkflow(rows, entries){
+  for (const r of rows){
+    const e = entries[r.Key];
+    for (const f of WORKFLOW_FIELDS) r[f] = e ? e[f] ?? null : null;
+    if (!r.Status) r.Status = "Open";
+  }
+  return rows;
+}
+
+/**
+ * Progress entries from rows of an exported decision list (first sheet of the workbook).
+ * Rows without a known status or still Open without notes carry nothing and are skipped.
+ * Returns { entries, skipped } with skipped = rows whose status was not recognised.
+ */
+function workflowFromRows(rows){
+  if (rows.length && !("Status" in rows[0])){
+    throw new Error("No Status column. Import the decision list sheet of a Gap Scan Excel export.");
+  }
+  const entries = {};
+  let skipped = 0;
+  for (const r of rows){
+    const status = String(r.Status ?? "").trim();
+    if (!status) continue;
+    const known = WORKFLOW_STATUSES.find(s => s.toLowerCase() === status.toLowerCase());
+    if (!known || isBlankCell(r.Plant) || isBlankCell(r.Material)){ skipped++; continue; }
+    const qty = parseNumberCell(r.Counted_Qty);
+    const e = {
+      Status: known,
+      Counted_Qty: Number.isFinite(qty) ? qty : null,
+      Note: String(r.Note ?? "").trim(),
+      Status_By: String(r.Status_By ?? "").trim(),
+      Status_DT: parseDateCell(r.Status_DT, "YMD"),
+      Status_Expectation: String(r.Status_Expectation ?? "").trim() || String(r.Expectation ?? "").trim() || null,
+    };
+    if (known === "Open" && e.Counted_Qty === null && !e.Note) continue;
+    entries[makeKey(String(r.Plant).trim(), String(r.Material).trim(), String(r["Storage Location"] ?? "").trim())] = e;
+  }
+  return { entries, skipped };
+}
+
+/**
+ * Merge imported progress into the saved entries; per key the later Status_DT wins
+ * (an undated import never overwrites). Returns { entries, added, updated, kept }.
+ */
+function mergeWorkflow(saved, incoming){
+  const entries = { ...saved };
+  let added = 0, updated = 0, kept = 0;
+  for (const [key, e] of Object.entries(incoming)){
+    const old = entries[key];
+    if (!old){ entries[key] = e; added++; continue; }
+    const newer = e.Status_DT && (!old.Status_DT || e.Status_DT.getTime() > old.Status_DT.getTime());
+    if (newer){ entries[key] = e; updated++; } else kept++;
+  }
+  return { entries, added, updated, kept };
+}
+
+/**
+ * Whether the stock turned up: Found, or Counted with a positive quantity, is "found";
+ * Written off, or Counted at zero, is "missing"; anything else is not settled (null).
+ */
+function workflowOutcome(e){
+  if (e.Status === "Found") return "found";
+  if (e.Status === "Written off") return "missing";
+  if (e.Status === "Counted" && e.Counted_Qty !== null && e.Counted_Qty !== undefined && e.Counted_Qty !== ""){
+    return Number(e.Counted_Qty) > 0 ? "found" : "missing";
+  }
+  return null;
+}
+
+/** Accuracy report columns */
+const ACCURACY_COLUMNS = ["Expectation", "Settled", "Found", "Missing", "Found_Rate", "In_Progress"];
+
+/**
+ * How often each predicted Expectation was borne out: per level the settled items,
+ * how many were found, and the share found. entries: progress entries or decision
+ * list rows carrying the workflow fields.
+ */
+function accuracyReport(entries){
+  const levels = new Map(["HIGH", "MEDIUM", "LOW", "N/A"].map(l => [l, { Expectation: l, Settled: 0, Found: 0, Missing: 0, Found_Rate: NaN, In_Progress: 0 }]));
+  for (const e of entries){
+    const lvl = levels.get(e.Status_Expectation || e.Expectation || "N/A") || levels.get("N/A");
+    const outcome = workflowOutcome(e);
+    if (!outcome){
+      if (e.Status && e.Status !== "Open") lvl.In_Progress++;
+      continue;
+    }
+    lvl.Settled++;
+    if (outcome === "found") lvl.Found++; else lvl.Missing++;
+  }
+  for (const l of levels.values()) if (l.Settled) l.Found_Rate = l.Found / l.Settled;
+  return [...levels.values()].filter(l => l.Settled || l.In_Progress || l.Expectation !== "N/A");
+}
+
+/** Columns of the decision list sheet; fields ending in _DT or _Time are dates */
+const EXPORT_COLUMNS = [
+  "Plant", "Material", "Storage Location", "Material Description",
+  ...MASTER_FIELDS,
+  "SAP_SOH_MB5B", "Expected_SOH_MB51", "Delta_SAP_minus_Expected", "Base_Unit",
+  "Expectation", "Summary", "Rule_Set",
+  "LastCount_DT", "LastCount_Qty",
+  "LastSale_DT", "LastSale_Qty",
+  "LastReceipt_DT", "LastReceipt_Qty",
+  "Loss702_Sum",
+  "Count_Cycles", "Loss_Cycles_90d", "Loss_Cycles_Window", "Shrink_Window_Days", "Avg_Loss_Per_Cycle", "Recounted_Losses", "Last_Cycle_DT", "Last_Cycle_Net",
+  "Sales_Per_Day_30d", "Sales_Per_Day_90d", "Typical_Sale_Gap_Days", "Sale_Gap_Score", "Days_Of_Cover", "Phantom_Suspect",
+  "Unit_Price", "SAP_Value", "Delta_Value", "Value_At_Risk",
+  "MB5B_Check", "MB5B_Note", "Unit_Note",
+  "Likely_Location", "Likely_Location_Note",
+  "Last_Transfer_In_DT", "Last_Transfer_In_Qty", "Last_Transfer_In_From",
+  "Last_Transfer_Out_DT", "Last_Transfer_Out_Qty", "Last_Transfer_Out_To",
+  "Gap_Scan_Code", "Gap_Scan_Time", "Post_Scan_Activity",
+  ...WORKFLOW_FIELDS
+];
+
+/** Count task columns; the counted ones are left blank for the counter */
+const COUNT_TASK_COLUMNS = [
+  "Plant", "Storage Location", "Aisle_Location", "Department", "Material", "Material Description", "Base_Unit",
+  "Book_Qty", "Expected_SOH_MB51", "Expectation", "Value_At_Risk", "Gap_Scan_Code",
+  "Counted_Qty", "Counted_By", "Count_Date", "Comment"
+];
+
+/** Physical inventory document upload layout (one line per item) */
+const PI_UPLOAD_COLUMNS = ["Plant", "Storage Location", "Material", "Book Qty", "Unit"];
+
+/** Excel stops at 1,048,576 rows per sheet; one is the header */
+const SHEET_MAX_ROWS = 1048575;
+
+const EXCEL_DATE_FORMAT = "yyyy-mm-dd hh:mm:ss";
+
+const isDateColumn = (c) => c.endsWith("_DT") || c.endsWith("_Time");
+
+/** Cell for aoa_to_sheet: Dates become real Excel date cells, missing values and NaN blanks */
+function sheetCell(v){
+  if (v instanceof Date) return { t:"n", v: dateToExcelSerial(v), z: EXCEL_DATE_FORMAT };
+  if (typeof v === "number" && !Number.isFinite(v)) return "";
+  return v ?? "";
+}
+
+/** Sheet from row objects, with a fixed column order */
+function sheetFromRows(rows, columns){
+  return XLSX.utils.aoa_to_sheet([columns, ...rows.map(r => columns.map(c => sheetCell(r[c])))]);
+}
+
+/** Aisle/fixture locations in walking order: numbers compare as numbers (A2-10 before A10-1), blanks last */
+function compareAisle(a, b){
+  if (!a !== !b) return a ? -1 : 1;
+  return String(a || "").localeCompare(String(b || ""), undefined, { numeric: true, sensitivity: "base" });
+}
+
+/** Decision list rows sorted by location and aisle, for count tasks and count sheets */
+function byLocation(rows){
+  return rows.slice().sort((a, b) =>
+    String(a.Plant).localeCompare(String(b.Plant))
+    || String(a["Storage Location"]).localeCompare(String(b["Storage Location"]))
+    || compareAisle(a.Aisle_Location, b.Aisle_Location)
+    || String(a.Material).localeCompare(String(b.Material)));
+}
+
+function countTaskRows(rows){
+  return byLocation(rows).map(r => ({ ...r, Book_Qty: r.SAP_SOH_MB5B, Counted_Qty: null }));
+}
+
+function piUploadRows(rows){
+  return byLocation(rows).map(r => ({
+    "Plant": r.Plant, "Storage Location": r["Storage Location"], "Material": r.Material,
+    "Book Qty": r.SAP_SOH_MB5B ?? 0, "Unit": r.Base_Unit || "",
+  }));
+}
+
+/**
+ * Items and value per plant / storage location / Expectation. Mismatches are rows whose
+ * SAP − replay delta exceeds tol, as in History; Split_Issues are multi-location MB5B
+ * blocks that could not be split cleanly.
+ */
+function summarizeRows(rows, tol=0.5){
+  const groups = new Map();
+  for (const r of rows){
+    const k = `${r.Plant}|${r["Storage Location"]}|${r.Expectation}`;
+    if (!groups.has(k)){
+      groups.set(k, {
+        "Plant": r.Plant, "Storage Location": r["Storage Location"], "Expectation": r.Expectation,
+        "Items": 0, "Mismatches": 0, "Split_Issues": 0, "Gap_Scans": 0, "Post_Scan_Activity": 0,
+        "SAP_Value": 0, "Delta_Value": 0, "Value_At_Risk": 0,
+      });
+    }
+    const g = groups.get(k);
+    g.Items++;
+    if (Math.abs(r.Delta_SAP_minus_Expected || 0) > tol) g.Mismatches++;
+    if (r.MB5B_Check && r.MB5B_Check !== "OK") g.Split_Issues++;
+    if (r.Gap_Scan) g.Gap_Scans++;
+    if (r.Post_Scan_Activity) g.Post_Scan_Activity++;
+    g.SAP_Value += r.SAP_Value || 0;
+    g.Delta_Value += r.Delta_Value || 0;
+    g.Value_At_Risk += r.Value_At_Risk || 0;
+  }
+  return [...groups.values()].sort((a, b) =>
+    String(a.Plant).localeCompare(String(b.Plant))
+    || String(a["Storage Location"]).localeCompare(String(b["Storage Location"]))
+    || (EXPECTATION_ORDER[a.Expectation] ?? 9) - (EXPECTATION_ORDER[b.Expectation] ?? 9));
+}
+
+const SUMMARY_COLUMNS = [
+  "Plant", "Storage Location", "Expectation", "Items", "Mismatches", "Split_Issues", "Gap_Scans",
+  "Post_Scan_Activity", "SAP_Value", "Delta_Value", "Value_At_Risk"
+];
+
+const LEDGER_COLUMNS = [
+  "Key", "Plant", "Material", "Storage Location", "Posted_DT", "MvT", "Text", "Class",
+  "Qty", "Unit", "Balance", "Reversed", "After_AsOf"
+];
+
+/** Running-balance ledger of every exported key, capped at one sheet */
+function ledgerRows(rows, movements, profile, asOf){
+  const out = [];
+  for (const r of rows){
+    for (const e of buildLedger(movements.get(r.Key) || [], profile, asOf)){
+      if (out.length >= SHEET_MAX_ROWS) return { rows: out, truncated: true };
+      out.push({
+        "Key": r.Key, "Plant": r.Plant, "Material": r.Material, "Storage Location": r["Storage Location"],
+        "Posted_DT": e.dt, "MvT": e.mvt, "Text": e.txt, "Class": e.cls,
+        "Qty": e.qty, "Unit": e.unit, "Balance": e.balance,
+        "Reversed": e.reversed ? "X" : "", "After_AsOf": e.afterAsOf ? "X" : "",
+      });
+    }
+  }
+  return { rows: out, truncated: false };
+}
+
+/**
+ * Result workbook: decision list, summary, movement ledger, (when rows have progress)
+ * the accuracy of the predictions and (when rows were ticked) a count task sheet.
+ * tol is the run's mismatch tolerance. Returns { wb, ledgerTruncated }.
+ */
+function buildResultWorkbook(rows, { movements = new Map(), profile, asOf = null, ticked = [], tol = 0.5 } = {}){
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, sheetFromRows(rows, EXPORT_COLUMNS), "GapScan");
+  XLSX.utils.book_append_sheet(wb, sheetFromRows(summarizeRows(rows, tol), SUMMARY_COLUMNS), "Summary");
+  const ledger = ledgerRows(rows, movements, profile, asOf);
+  XLSX.utils.book_append_sheet(wb, sheetFromRows(ledger.rows, LEDGER_COLUMNS), "Ledger");
+  if (rows.some(r => r.Status && r.Status !== "Open")){
+    XLSX.utils.book_append_sheet(wb, sheetFromRows(accuracyReport(rows), ACCURACY_COLUMNS), "Accuracy");
+  }
+  if (ticked.length){
+    XLSX.utils.book_append_sheet(wb, sheetFromRows(countTaskRows(ticked), COUNT_TASK_COLUMNS), "Count Tasks");
+  }
+  return { wb, ledgerTruncated: ledger.truncated };
+}
+
+/** Physical inventory upload as CSV text (book quantities of the given rows) */
+function buildPiUploadCsv(rows){
+  return XLSX.utils.sheet_to_csv(sheetFromRows(piUploadRows(rows), PI_UPLOAD_COLUMNS));
+}
+
+/* Node (cli.js, tests): SheetJS comes from npm instead of vendor/ */
+if (typeof module === "object" && module.exports){
+  if (typeof XLSX === "undefined") globalThis.XLSX = require("xlsx");
+  module.exports = {
+    // settings and defaults
+    MB51_REQUIRED, MB51_OPTIONAL, MB51_ALIASES, MVT_CLASSES, DEFAULT_MVT_PROFILE, DEFAULT_RULE_SET,
+    DATE_FORMATS, DECIMAL_FORMATS, SORT_OPTIONS, validateProfile, validateRuleSet, parseRulesFile,
+    // reading and parsing
+    readWorkbookAsObjects, readWorkbookAsArrays, isCsvFile, resolveColumns, autoMb51Mapping,
+    parseNumberCell, parseDateCell, excelSerialToDate, dateToExcelSerial, wallClock,
+    mb51RowCleaner, cleanMb51, sortMb51, parseMb5b, parseMb5bBlocks, parseMb5bFlat,
+    parsePriceList, parseUomFile, parseEanMap, parseGapScans, parseMaterialMaster, applyMaterialMaster,
+    // analysis
+    runPipeline, analyze, computeExpectedSohMb51, lastEvent, salesVelocity, countCyclesOf, expectationAndReason, buildLedger,
+    sortDecisionList, compareRuns, buildDataIssues, CancelledError,
+    // workflow
+    WORKFLOW_STATUSES, WORKFLOW_FIELDS, applyWorkflow, workflowFromRows, mergeWorkflow, accuracyReport,
+    // output
+    formatDate, EXPORT_COLUMNS, sheetFromRows, buildResultWorkbook, buildPiUploadCsv, byLocation,
+  };
+}
@@ -0,0 +1,33 @@
+#!/usr/bin/env node
+/*
+ * Copies the browser builds of SheetJS and Tabulator from node_modules into vendor/,
+ * so the app is served with its libraries and works offline. Run after changing
+ * either version in package.json (npm install && npm run vendor), then bump version.js.
+ */
+const fs = require("node:fs");
+const path = require("node:path");
+
+const ROOT = path.join(__dirname, "..");
+const FILES = [
+  ["xlsx/dist/xlsx.full.min.js", "xlsx.full.min.js"],
+  ["xlsx/LICENSE", "xlsx.LICENSE"],
+  ["tabulator-tables/dist/js/tabulator.min.js", "tabulator.min.js"],
+  ["tabulator-tables/dist/css/tabulator.min.css", "tabulator.min.css"],
+  ["tabulator-tables/LICENSE", "tabulator.LICENSE"],
+];
+
+/** First SheetJS release without the advisories 0.18.5 carries (see README, "accepted risk") */
+const XLSX_FIXED = [0, 20, 2];
+
+fs.mkdirSync(path.join(ROOT, "vendor"), { recursive: true });
+for (const [from, to] of FILES){
+  fs.copyFileSync(path.join(ROOT, "node_modules", from), path.join(ROOT, "vendor", to));
+  console.log(`vendor/${to} <- ${from}`);
+}
+
+const xlsxVersion = require(path.join(ROOT, "node_modules", "xlsx", "package.json")).version;
+const parts = xlsxVersion.split(".").map(Number);
+const older = XLSX_FIXED.findIndex((n, i) => parts[i] !== n);
+if (older >= 0 && parts[older] < XLSX_FIXED[older]){
+  console.warn(`Warning: SheetJS ${xlsxVersion} is older than ${XLSX_FIXED.join(".")} and has published advisories; see README.`);
+}
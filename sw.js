@@ -0,0 +1,59 @@
+/* global APP_VERSION */
+/*
+ * Service worker: keeps the app and its libraries in a cache per build so the app
+ * installs and runs with no connection after the first visit.
+ * A new build (changed version.js) installs alongside and waits; the page offers the
+ * update and sends { type:"skipWaiting" } when the user accepts.
+ * Messages in: { type:"skipWaiting" } and { type:"version" } (answered on the given port).
+ */
+importScripts("./version.js");
+
+const CACHE = `gap-scan-${APP_VERSION}`;
+
+/** Everything the app needs offline; one missing file fails the install */
+const APP_FILES = [
+  "./",
+  "./index.html",
+  "./styles.css",
+  "./version.js",
+  "./core.js",
+  "./app.js",
+  "./worker.js",
+  "./manifest.webmanifest",
+  "./icons/icon-192.png",
+  "./icons/icon-512.png",
+  "./vendor/xlsx.full.min.js",
+  "./vendor/tabulator.min.js",
+  "./vendor/tabulator.min.css",
+];
+
+self.addEventListener("install", (e) => {
+  // cache: "reload" skips the HTTP cache, so a new build never stores stale files
+  e.waitUntil(caches.open(CACHE).then(c => c.addAll(APP_FILES.map(f => new Request(f, { cache:"reload" })))));
+});
+
+self.addEventListener("activate", (e) => {
+  e.waitUntil((async () => {
+    for (const name of await caches.keys()){
+      if (name.startsWith("gap-scan-") && name !== CACHE) await caches.delete(name);
+    }
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener("message", (e) => {
+  if (e.data?.type === "skipWaiting") self.skipWaiting();
+  if (e.data?.type === "version" && e.ports[0]) e.ports[0].postMessage(APP_VERSION);
+});
+
+/** Cache first for the app's own files; anything else goes to the network */
+self.addEventListener("fetch", (e) => {
+  const req = e.request;
+  if (req.method !== "GET" || new URL(req.url).origin !== self.location.origin) return;
+  e.respondWith((async () => {
+    const cache = await caches.open(CACHE);
+    const hit = await cache.match(req, { ignoreSearch:true })
+      || (req.mode === "navigate" ? await cache.match("./index.html") : undefined);
+    return hit || fetch(req);
+  })());
+});
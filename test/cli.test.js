@@ -0,0 +1,97 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { spawnSync } = require("node:child_process");
+const XLSX = require("xlsx");
+const core = require("../core.js");
+
+const CLI = path.join(__dirname, "..", "cli.js");
+const FIXTURES = path.join(__dirname, "fixtures");
+const fixture = async (name) => new File([await fs.openAsBlob(path.join(FIXTURES, name))], name);
+
+const runCli = (...args) => spawnSync(process.execPath, [CLI, ...args], { encoding: "utf8", timeout: 60000 });
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "gap-scan-"));
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const inputs = ["--mb51", path.join(FIXTURES, "mb51.csv"), "--mb5b", path.join(FIXTURES, "mb5b_blocks.csv"), "--quiet"];
+
+test("the CLI writes the same rows as a run with the browser's default settings", async () => {
+  const out = path.join(tmp, "results.json");
+  const cli = runCli(...inputs, "--out", out);
+  assert.equal(cli.status, 0, cli.stderr);
+  assert.match(cli.stderr, /Keys matched between MB51 and MB5B: 2/);
+
+  const settings = {
+    matPad: 0, slocPad: 4, tol: 0.5, asOfInput: "", dateFormat: "auto", decimalFormat: "auto",
+    profile: core.validateProfile(core.DEFAULT_MVT_PROFILE),
+    ruleSets: [core.validateRuleSet(core.DEFAULT_RULE_SET)], defaultRuleSet: core.DEFAULT_RULE_SET.name,
+    ruleAssignments: [], sortBy: "default",
+  };
+  const res = await core.runPipeline({ mb51: [await fixture("mb51.csv")], mb5b: await fixture("mb5b_blocks.csv") }, settings,
+    { progress: () => {}, mapping: async (headers) => core.autoMb51Mapping(headers) });
+  assert.deepEqual(JSON.parse(fs.readFileSync(out, "utf8")), JSON.parse(JSON.stringify(res.rows)));
+});
+
+test("the CLI applies the rule set assignments of a rules file like the browser", async () => {
+  const strict = { ...core.DEFAULT_RULE_SET, name: "Strict", mediumMaxDelta: 0 };
+  const bundle = { ruleSets: [core.DEFAULT_RULE_SET, strict], defaultRuleSet: core.DEFAULT_RULE_SET.name,
+    ruleAssignments: [{ plant: "1000", prefix: "100002", ruleSet: "Strict" }] };
+  const rulesFile = path.join(tmp, "rules.json");
+  fs.writeFileSync(rulesFile, JSON.stringify(bundle));
+  const out = path.join(tmp, "assigned.json");
+  const cli = runCli(...inputs, "--rules", rulesFile, "--out", out);
+  assert.equal(cli.status, 0, cli.stderr);
+
+  const rows = JSON.parse(fs.readFileSync(out, "utf8"));
+  assert.deepEqual(rows.map(r => [r.Material, r.Rule_Set]), [["100001", core.DEFAULT_RULE_SET.name], ["100002", "Strict"]]);
+  const settings = {
+    matPad: 0, slocPad: 4, tol: 0.5, asOfInput: "", dateFormat: "auto", decimalFormat: "auto",
+    profile: core.validateProfile(core.DEFAULT_MVT_PROFILE), ...core.parseRulesFile(bundle), sortBy: "default",
+  };
+  const res = await core.runPipeline({ mb51: [await fixture("mb51.csv")], mb5b: await fixture("mb5b_blocks.csv") }, settings,
+    { progress: () => {}, mapping: async (headers) => core.autoMb51Mapping(headers) });
+  assert.deepEqual(rows, JSON.parse(JSON.stringify(res.rows)));
+
+  fs.writeFileSync(rulesFile, JSON.stringify({ ...bundle, ruleAssignments: [{ prefix: "1", ruleSet: "Missing" }] }));
+  const bad = runCli(...inputs, "--rules", rulesFile, "--out", out);
+  assert.equal(bad.status, 2);
+  assert.match(bad.stderr, /unknown rule set "Missing"/);
+});
+
+test("the CLI writes the result workbook and CSV", () => {
+  const xlsx = path.join(tmp, "results.xlsx");
+  assert.equal(runCli(...inputs, "--mat-pad", "18", "--out", xlsx).status, 0);
+  const wb = XLSX.readFile(xlsx, { cellNF: true });
+  assert.deepEqual(wb.SheetNames, ["GapScan", "Summary", "Ledger"]);
+  const rows = XLSX.utils.sheet_to_json(wb.Sheets.GapScan);
+  assert.equal(rows[0].Material, "000000000000100001");
+  assert.equal(wb.Sheets.Ledger.E2.t, "n"); // posting dates are real Excel dates
+  assert.equal(wb.Sheets.Ledger.E2.z, "yyyy-mm-dd hh:mm:ss");
+  const summary = XLSX.utils.sheet_to_json(wb.Sheets.Summary);
+  const mismatches = rows.filter(r => Math.abs(r.Delta_SAP_minus_Expected) > 0.5).length;
+  assert.ok(mismatches > 0);
+  assert.equal(summary.reduce((a, g) => a + g.Mismatches, 0), mismatches);
+
+  const csv = path.join(tmp, "results.csv");
+  assert.equal(runCli(...inputs, "--out", csv).status, 0);
+  const lines = fs.readFileSync(csv, "utf8").trim().split("\n");
+  assert.equal(lines[0], core.EXPORT_COLUMNS.join(","));
+  assert.equal(lines.length, 3);
+});
+
+test("the CLI rejects bad arguments with exit code 2", () => {
+  const missing = runCli("--mb5b", path.join(FIXTURES, "mb5b_flat.csv"), "--out", path.join(tmp, "x.json"));
+  assert.equal(missing.status, 2);
+  assert.match(missing.stderr, /--mb51 and --mb5b are required/);
+  assert.equal(runCli(...inputs, "--out", path.join(tmp, "x.json"), "--date-format", "XYZ").status, 2);
+  assert.equal(runCli(...inputs, "--out", path.join(tmp, "x.txt")).status, 2);
+});
+
+test("the CLI fails a run it cannot read with exit code 1", () => {
+  const res = runCli("--mb51", path.join(FIXTURES, "mb5b_flat.csv"), "--mb5b", path.join(FIXTURES, "mb5b_flat.csv"),
+    "--out", path.join(tmp, "x.json"), "--quiet");
+  assert.equal(res.status, 1);
+  assert.match(res.stderr, /MB51 missing columns/);
+});
@@ -0,0 +1,375 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const XLSX = require("xlsx");
+const core = require("../core.js");
+
+const fixture = async (name) => new File([await fs.openAsBlob(path.join(__dirname, "fixtures", name))], name);
+
+const SETTINGS = {
+  matPad: 0, slocPad: 4, tol: 0.5, asOfInput: "", dateFormat: "auto", decimalFormat: "auto",
+  profile: core.DEFAULT_MVT_PROFILE,
+};
+const HOOKS = { progress: () => {}, mapping: async (headers) => core.autoMb51Mapping(headers) };
+
+test("cleanMb51 maps, pads and times MB51 rows", async () => {
+  const rows = core.cleanMb51(await core.readWorkbookAsObjects(await fixture("mb51.csv")), 0, 4);
+  assert.equal(rows.length, 8);
+  const first = rows[0];
+  assert.equal(first.Key, "1000|100001|0001");
+  assert.equal(first["Movement Type"], "701");
+  assert.equal(first.Qty, 10);
+  assert.equal(first.Unit, "PC");
+  assert.equal(core.formatDate(first["Post DateTime"]), "2025-01-02 08:00:00");
+  assert.equal(rows.find(r => r["Movement Type"] === "102").Qty, -6);
+});
+
+test("cleanMb51 pads materials to the configured length", async () => {
+  const rows = core.cleanMb51(await core.readWorkbookAsObjects(await fixture("mb51.csv")), 18, 4);
+  assert.equal(rows[0].Material, "000000000000100001");
+  assert.equal(rows[0].Key, "1000|000000000000100001|0001");
+});
+
+test("cleanMb51 reports headers it cannot map", () => {
+  assert.throws(() => core.cleanMb51([{ Plant: 1000, Material: 1 }], 0, 4), /MB51 missing columns: .*Storage Location/);
+});
+
+test("parseMb5bBlocks reads the closing stock, description, sloc and unit of each block", async () => {
+  const rows2d = await core.readWorkbookAsArrays(await fixture("mb5b_blocks.csv"));
+  const rows = core.parseMb5bBlocks(rows2d, 0, 4);
+  assert.deepEqual(rows.map(r => [r.Key, r["Material Description"], r.SAP_SOH_MB5B, r.Base_Unit]), [
+    ["1000|100001|0001", "Blue Mug", 5, "PC"],
+    ["1000|100002|0001", "Red Plate", 0, "PC"],
+  ]);
+  assert.equal(core.formatDate(rows[0].SAP_SOH_Date), "2025-01-31 00:00:00");
+});
+
+test("parseMb5bBlocks splits a multi-SLoc block only when the detail rows account for all of its stock", () => {
+  const block = (material, open, close) => [
+    ["Plant 1000 Store 1000"], [`Material ${material}`],
+    [`Stock on 01.01.2025   ${open} PC`], [`Stock on 31.01.2025   ${close} PC`],
+    ["", "Loca", "MvT", "Quantity"], ["", "", "", ""],
+    ["", "0001", "101", "6"], ["", "0001", "251", "-1"], ["", "0002", "311", "3"],
+  ];
+  const rows = core.parseMb5bBlocks([...block("1", 0, 8), ...block("2", 4, 12)], 0, 4);
+  const pick = (r) => [r.Key, r.SAP_SOH_MB5B, r.MB5B_Check];
+  assert.deepEqual(rows.map(pick), [
+    ["1000|1|0001", 5, "OK"], ["1000|1|0002", 3, "OK"],
+    ["1000|2|0001", null, "NOT SPLIT"], ["1000|2|0002", null, "NOT SPLIT"],
+  ]);
+
+  const res = core.analyze([], rows, { tol: 0.5, profile: core.DEFAULT_MVT_PROFILE });
+  const unknown = res.rows.find(r => r.Key === "1000|2|0001");
+  assert.equal(unknown.Delta_SAP_minus_Expected, null);
+  assert.equal(unknown.Expectation, "N/A");
+});
+
+test("parseMb5b reads the flat list layout like the block layout", async () => {
+  const blocks = core.parseMb5b(await core.readWorkbookAsArrays(await fixture("mb5b_blocks.csv")), 0, 4);
+  const flat = core.parseMb5b(await core.readWorkbookAsArrays(await fixture("mb5b_flat.csv")), 0, 4);
+  const pick = (r) => [r.Key, r["Material Description"], r.SAP_SOH_MB5B, r.Base_Unit];
+  assert.deepEqual(flat.map(pick), blocks.map(pick));
+});
+
+test("parseMb5b rejects files in neither layout", () => {
+  assert.throws(() => core.parseMb5b([["Something else"], ["1", "2"]], 0, 4), /MB5B format not recognized/);
+});
+
+test("runPipeline replays MB51 against MB5B", async () => {
+  const res = await core.runPipeline({ mb51: [await fixture("mb51.csv")], mb5b: await fixture("mb5b_blocks.csv") }, SETTINGS, HOOKS);
+  assert.equal(res.mb51Count, 8);
+  assert.equal(res.overlap, 2);
+  assert.equal(core.formatDate(res.asOf).slice(0, 10), "2025-01-31");
+  const byKey = new Map(res.rows.map(r => [r.Key, r]));
+  assert.equal(byKey.get("1000|100001|0001").Expected_SOH_MB51, 5);
+  assert.equal(byKey.get("1000|100002|0001").Expected_SOH_MB51, 3);
+  assert.equal(byKey.get("1000|100002|0001").Delta_SAP_minus_Expected, -3);
+  assert.equal(res.dataIssues.find(i => i.id === "mb51Only").count, 1);
+});
+
+test("runPipeline reads comma-decimal CSV quantities with thousands separators", async () => {
+  const mb51 = new File([
+    "Plant;Material;Storage Location;Movement Type;Posting Date;Qty in unit of entry;Unit of Entry\n"
+    + "1000;100001;1;101;02.01.2025;2.500;PC\n"
+    + "1000;100001;1;251;05.01.2025;1,5-;PC\n"
+    + "1000;100001;1;251;06.01.2025;3-;PC\n",
+  ], "mb51.csv", { type: "text/csv" });
+  const mb5b = new File([
+    "Plant;Material;Storage Location;Material Description;Closing Stock;Base Unit of Measure\n"
+    + "1000;100001;1;Blue Mug;2.495,5;PC\n",
+  ], "mb5b.csv", { type: "text/csv" });
+  for (const decimalFormat of ["comma", "auto"]){
+    const res = await core.runPipeline({ mb51: [mb51], mb5b }, { ...SETTINGS, decimalFormat }, HOOKS);
+    const row = res.rows[0];
+    assert.equal(row.Expected_SOH_MB51, 2495.5, decimalFormat);
+    assert.equal(row.SAP_SOH_MB5B, 2495.5, decimalFormat);
+    assert.equal(row.Delta_SAP_minus_Expected, 0, decimalFormat);
+  }
+});
+
+/** Cleaned-MB51-like row for analyze() */
+const movement = (material, mvt, qty, day) => ({
+  Plant: "1000", Material: material, "Storage Location": "0001", Key: `1000|${material}|0001`,
+  "Movement Type": mvt, "Movement Type Text": "", Qty: qty, Unit: "PC",
+  "Post DateTime": new Date(Date.UTC(2025, 0, 1) + day * 86400000 + 12 * 3600000),
+});
+const stock = (material, qty) => ({
+  Plant: "1000", Material: material, "Storage Location": "0001", Key: `1000|${material}|0001`,
+  "Material Description": "", SAP_SOH_MB5B: qty, SAP_SOH_Date: null, Base_Unit: "PC",
+});
+
+test("a plain Quantity column is not taken as the base-unit quantity; a real one is flagged in Data Issues", async () => {
+  const mb5b = new File(["Plant,Material,Storage Location,Material Description,Closing Stock,Base Unit of Measure\n1000,1,1,Box,4,PC\n"],
+    "mb5b.csv", { type: "text/csv" });
+  const run = (header, line) => core.runPipeline({
+    mb51: [new File([`Plant,Material,Storage Location,Movement Type,Posting Date,${header}\n1000,1,1,101,02.01.2025,${line}\n`], "mb51.csv", { type: "text/csv" })],
+    mb5b,
+  }, SETTINGS, { ...HOOKS, mapping: async () => ({ ...core.autoMb51Mapping(["Plant", "Material", "Storage Location", "Movement Type", "Posting Date", "Qty in unit of entry"]),
+    "Qty in unit of entry": header.split(",")[0] }) });
+
+  const plain = await run("Quantity,Unit of Entry", "2,CS");
+  assert.equal(plain.mb51Files[0].baseUnitQty, false);
+  assert.equal(plain.rows[0].Expected_SOH_MB51, 2);
+  assert.equal(plain.dataIssues.find(i => i.id === "baseUnitQty").count, 0);
+  const extra = await run("Qty in unit of entry,Unit of Entry,Quantity", "2,CS,7");
+  assert.equal(extra.mb51Files[0].baseUnitQty, false);
+  assert.equal(extra.rows[0].Expected_SOH_MB51, 2);
+
+  const based = await run("Qty in unit of entry,Unit of Entry,Qty in Base Unit,Base Unit", "2,CS,4,PC");
+  assert.equal(based.rows[0].Expected_SOH_MB51, 4);
+  assert.deepEqual(based.dataIssues.find(i => i.id === "baseUnitQty").rows,
+    [{ File: "mb51.csv", Replayed_Column: "Qty in Base Unit", Entry_Column: "Qty in unit of entry" }]);
+});
+
+test("a sale after the gap scan that was reversed later is not post-scan activity", async () => {
+  const csv = (name, text) => new File([text], name, { type: "text/csv" });
+  const mb51 = csv("mb51.csv", "Plant;Material;Storage Location;Movement Type;Posting Date;Time of Entry;Qty in unit of entry;Unit of Entry\n"
+    + "1000;100001;1;101;02.01.2025;08:00:00;10;PC\n"
+    + "1000;100001;1;251;10.02.2025;10:00:00;-2;PC\n"
+    + "1000;100001;1;252;10.02.2025;10:05:00;2;PC\n");
+  const mb5b = csv("mb5b.csv", "Plant;Material;Storage Location;Material Description;Closing Stock;Base Unit of Measure\n1000;100001;1;Blue Mug;10;PC\n");
+  const scans = csv("scans.csv", "Code;Timestamp\n100001;2025-02-01 09:00:00\n");
+  const settings = { ...SETTINGS, asOfInput: "2025-01-31" };
+  const res = await core.runPipeline({ mb51: [mb51], mb5b, gapScan: scans }, settings, HOOKS);
+  assert.equal(res.rows[0].Gap_Scan, true);
+  assert.equal(res.rows[0].Post_Scan_Activity, "");
+  assert.deepEqual(res.movements.get("1000|100001|0001").map(m => m.Reversed), [false, true, true]);
+
+  const partial = csv("mb51.csv", await mb51.text() + "1000;100001;1;251;12.02.2025;10:00:00;-3;PC\n1000;100001;1;252;13.02.2025;10:00:00;1;PC\n");
+  const again = await core.runPipeline({ mb51: [partial], mb5b, gapScan: scans }, settings, HOOKS);
+  assert.equal(again.rows[0].Post_Scan_Activity, "1 sale(s) (-2) after the scan, last 2025-02-12 10:00:00");
+});
+
+test("the ledger after the as-of date marks reversed pairs like the replayed part", async () => {
+  const csv = (name, text) => new File([text], name, { type: "text/csv" });
+  const mb51 = csv("mb51.csv", "Plant;Material;Storage Location;Movement Type;Posting Date;Qty in unit of entry;Unit of Entry\n"
+    + "1000;100001;1;101;02.01.2025;10;PC\n1000;100001;1;251;05.01.2025;-1;PC\n1000;100001;1;252;06.01.2025;1;PC\n"
+    + "1000;100001;1;251;10.02.2025;-2;PC\n1000;100001;1;252;11.02.2025;2;PC\n");
+  const mb5b = csv("mb5b.csv", "Plant;Material;Storage Location;Material Description;Closing Stock;Base Unit of Measure\n1000;100001;1;Blue Mug;10;PC\n");
+  const res = await core.runPipeline({ mb51: [mb51], mb5b }, { ...SETTINGS, asOfInput: "2025-01-31" }, HOOKS);
+  const ledger = core.buildLedger(res.movements.get("1000|100001|0001"), core.DEFAULT_MVT_PROFILE, res.asOf);
+  assert.deepEqual(ledger.map(e => [e.mvt, e.reversed, e.afterAsOf]),
+    [["101", false, false], ["251", true, false], ["252", true, false], ["251", true, true], ["252", true, true]]);
+
+  const { wb } = core.buildResultWorkbook(res.rows, { movements: res.movements, profile: core.DEFAULT_MVT_PROFILE, asOf: res.asOf });
+  const sheet = XLSX.utils.sheet_to_json(wb.Sheets.Ledger, { defval: "" });
+  assert.deepEqual(sheet.map(r => r.Reversed + r.After_AsOf), ["", "X", "X", "XX", "XX"]);
+});
+
+test("salesVelocity averages daily sales and finds the usual gap between sale days", () => {
+  const mb51 = [movement("1", "101", 100, 0)];
+  for (let d = 1; d <= 60; d += 2) mb51.push(movement("1", "251", -2, d));
+  const v = core.salesVelocity(mb51, core.DEFAULT_MVT_PROFILE, new Date(Date.UTC(2025, 2, 2)));
+  const k = v.get("1000|1|0001");
+  assert.equal(k.Typical_Sale_Gap_Days, 2);
+  assert.ok(Math.abs(k.Sales_Per_Day_30d - 1) < 0.1);
+  assert.ok(Math.abs(k.Sales_Per_Day_90d - 60 / 60) < 0.1); // 90-day rate over the 60 days of history
+});
+
+test("analyze flags a daily seller that went silent with stock as probable phantom inventory", () => {
+  const mb51 = [movement("1", "101", 50, 0), movement("2", "101", 50, 0)];
+  for (let d = 1; d <= 30; d++) mb51.push(movement("1", "251", -1, d)); // sells daily, then stops
+  for (let d = 1; d <= 38; d++) mb51.push(movement("2", "251", -1, d)); // still selling
+  const res = core.analyze(core.sortMb51(mb51), [stock("1", 20), stock("2", 12)], {
+    tol: 0.5, profile: core.DEFAULT_MVT_PROFILE, asOfInput: "2025-02-08",
+  });
+  const [silent, busy] = ["1000|1|0001", "1000|2|0001"].map(k => res.rows.find(r => r.Key === k));
+  assert.equal(silent.Phantom_Suspect, true);
+  assert.ok(silent.Sale_Gap_Score >= 8);
+  assert.match(silent.Summary, /probable phantom inventory\. \[HIGH → MEDIUM\]/);
+  assert.equal(silent.Expectation, "MEDIUM");
+  assert.equal(busy.Phantom_Suspect, false);
+  assert.ok(Math.abs(busy.Days_Of_Cover - 12) < 2);
+});
+
+test("a regular seller silent for months keeps its typical sale gap and is flagged as phantom", () => {
+  const mb51 = [movement("4", "101", 100, 0)];
+  for (let d = 1; d <= 59; d += 2) mb51.push(movement("4", "251", -2, d)); // every 2 days, then nothing for 140 days
+  const res = core.analyze(core.sortMb51(mb51), [stock("4", 40)], { tol: 0.5, profile: core.DEFAULT_MVT_PROFILE, asOfInput: "2025-07-19" });
+  const row = res.rows[0];
+  assert.equal(row.Typical_Sale_Gap_Days, 2);
+  assert.equal(row.Sales_Per_Day_30d, 0);
+  assert.ok(row.Sale_Gap_Score > 60);
+  assert.equal(row.Phantom_Suspect, true);
+});
+
+test("analyze pairs transfers between storage locations and names the likely location", () => {
+  const at = (sloc, row) => ({ ...row, "Storage Location": sloc, Key: `1000|${row.Material}|${sloc}` });
+  const mb51 = [
+    movement("7", "101", 10, 0),
+    movement("7", "251", -1, 2),
+    movement("7", "311", -8, 5), at("0002", movement("7", "311", 8, 5)), // one step 0001 -> 0002
+    movement("7", "313", -1, 6), at("0003", movement("7", "315", 1, 8)), // two step 0001 -> 0003
+  ];
+  const mb5b = [stock("7", 1), at("0002", stock("7", 8)), at("0003", stock("7", 0))];
+  const res = core.analyze(core.sortMb51(mb51), mb5b, { tol: 0.5, profile: core.DEFAULT_MVT_PROFILE, asOfInput: "2025-01-20" });
+
+  const moves = res.transfers.get("1000|7").map(t => [t.from, t.to, t.qty, t.mvt]);
+  assert.deepEqual(moves, [["0001", "0002", 8, "311"], ["0001", "0003", 1, "313"]]);
+
+  const shelf = res.rows.find(r => r.Key === "1000|7|0001");
+  assert.equal(shelf.Expected_SOH_MB51, 0);
+  assert.equal(shelf.Last_Transfer_Out_To, "0003");
+  assert.equal(shelf.Likely_Location, "0002");
+  assert.match(shelf.Summary, /Likely location: 8 PC transferred to 0002 on 2025-01-06, no sale there since; 0002 shows 8\.00 PC\.$/);
+  const back = res.rows.find(r => r.Key === "1000|7|0002");
+  assert.equal(back.Last_Transfer_In_From, "0001");
+  assert.equal(back.Last_Transfer_In_Qty, 8);
+});
+
+test("analyze lists storage locations only MB51 knows alongside the MB5B ones", () => {
+  const at = (sloc, row) => ({ ...row, "Storage Location": sloc, Key: `1000|${row.Material}|${sloc}` });
+  const mb51 = [movement("7", "101", 10, 0), movement("7", "311", -8, 5), at("0002", movement("7", "311", 8, 5)), movement("8", "101", 1, 0)];
+  const res = core.analyze(core.sortMb51(mb51), [stock("7", 2)], { tol: 0.5, profile: core.DEFAULT_MVT_PROFILE, asOfInput: "2025-01-20" });
+  const only = res.replayOnly.get("1000|7").map(x => [x.Key, x.Expected_SOH_MB51, x.Last_Transfer_In_From]);
+  assert.deepEqual(only, [["1000|7|0002", 8, "0001"]]);
+  assert.equal(res.replayOnly.has("1000|8"), false); // material not in MB5B at all
+  assert.equal(res.rows[0].Likely_Location, "0002");
+});
+
+test("a partial reversal nets the quantity but leaves the original sale standing", () => {
+  const mb51 = core.sortMb51([movement("1", "101", 10, 0), movement("1", "251", -5, 1), movement("1", "252", 1, 2)]);
+  const res = core.analyze(mb51, [stock("1", 6)], { tol: 0.5, profile: core.DEFAULT_MVT_PROFILE, asOfInput: "2025-01-20" });
+  assert.deepEqual(mb51.map(r => r.Reversed), [false, false, false]);
+  const row = res.rows[0];
+  assert.equal(row.Expected_SOH_MB51, 6);
+  assert.equal(core.formatDate(row.LastSale_DT).slice(0, 10), "2025-01-02");
+});
+
+test("countCyclesOf groups count postings by day and pairs a loss with its recount", () => {
+  const mb51 = [
+    movement("3", "101", 20, 0),
+    movement("3", "702", -3, 10), movement("3", "702", -2, 10), // one cycle, two postings
+    movement("3", "701", 4, 13), // recount gives most of it back
+    movement("3", "702", -2, 100),
+    movement("3", "701", 1, 200), // a gain with no loss before it in 7 days
+    movement("3", "702", -1, 250),
+    movement("3", "702", -3, 300),
+  ];
+  const cycles = core.countCyclesOf(core.sortMb51(mb51), core.DEFAULT_MVT_PROFILE);
+  assert.deepEqual(cycles.map(c => [c.net, c.postings, c.effective]), [[-5, 2, -1], [4, 1, 0], [-2, 1, -2], [1, 1, 1], [-1, 1, -1], [-3, 1, -3]]);
+  assert.equal(core.formatDate(cycles[0].recountedOn).slice(0, 10), "2025-01-14");
+  assert.equal(cycles[0].recountQty, 4);
+  assert.equal(core.formatDate(cycles[1].recountOf).slice(0, 10), "2025-01-11");
+
+  const res = core.analyze(core.sortMb51(mb51), [stock("3", 9)], { tol: 0.5, profile: core.DEFAULT_MVT_PROFILE, asOfInput: "2025-11-20" });
+  const row = res.rows[0];
+  assert.equal(row.Count_Cycles, 6);
+  assert.equal(row.Recounted_Losses, 1);
+  assert.equal(row.Loss_Cycles_90d, 2);
+  assert.equal(row.Loss_Cycles_Window, 4);
+  assert.equal(row.Avg_Loss_Per_Cycle, -7 / 4);
+  assert.equal(row.Last_Cycle_Net, -3);
+  assert.match(row.Summary, /4 count cycles with a loss in the last 365 days .*→ repeat shrink/);
+
+  const short = core.analyze(core.sortMb51(mb51), [stock("3", 9)],
+    { tol: 0.5, profile: core.DEFAULT_MVT_PROFILE, asOfInput: "2025-11-20", shrinkWindow: 180 }).rows[0];
+  assert.deepEqual([short.Loss_Cycles_Window, short.Shrink_Window_Days, short.Avg_Loss_Per_Cycle], [2, 180, -2]);
+});
+
+test("count cycles and reversals follow the material document where MB51 has one", () => {
+  const [gain, loss] = core.cleanMb51([
+    { Plant: 1000, Material: 5, "Storage Location": 1, "Movement Type": "701", "Posting Date": "11.01.2025", "Qty in unit of entry": 3, "Material Doc.": 4900000002, SMBLN: "" },
+    { Plant: 1000, Material: 5, "Storage Location": 1, "Movement Type": "702", "Posting Date": "11.01.2025", "Qty in unit of entry": -3, "Material Doc.": 4900000001, SMBLN: "" },
+  ], 0, 4);
+  assert.equal(gain["Material Document"], "4900000002");
+  const cycles = core.countCyclesOf([loss, gain], core.DEFAULT_MVT_PROFILE); // two counts on one day
+  assert.deepEqual(cycles.map(c => c.net), [-3, 3]);
+  assert.equal(cycles[0].recountQty, 3);
+
+  const doc = (row, d, reversed = "") => ({ ...row, "Material Document": d, "Reversed Document": reversed });
+  const mb51 = [movement("6", "101", 10, 0), doc(movement("6", "251", -2, 1), "A"), doc(movement("6", "251", -2, 2), "B"), doc(movement("6", "252", 2, 3), "C", "A")];
+  const res = core.analyze(core.sortMb51(mb51), [stock("6", 8)], { tol: 0.5, profile: core.DEFAULT_MVT_PROFILE, asOfInput: "2025-01-20" });
+  assert.deepEqual(mb51.map(r => r.Reversed), [false, true, false, true]);
+  assert.equal(core.formatDate(res.rows[0].LastSale_DT).slice(0, 10), "2025-01-03");
+});
+
+test("progress survives an Excel export and import, and feeds the accuracy report", () => {
+  const row = (material, expectation) => ({ ...stock(material, 2), Expectation: expectation });
+  const rows = [row("1", "HIGH"), row("2", "HIGH"), row("3", "LOW"), row("4", "LOW")];
+  const saved = {
+    "1000|1|0001": { Status: "Found", Counted_Qty: null, Note: "backroom top shelf", Status_By: "AB", Status_DT: new Date(Date.UTC(2025, 1, 1, 9)), Status_Expectation: "HIGH" },
+    "1000|2|0001": { Status: "Counted", Counted_Qty: 0, Note: "", Status_By: "AB", Status_DT: new Date(Date.UTC(2025, 1, 1, 10)), Status_Expectation: "HIGH" },
+    "1000|3|0001": { Status: "Checked backroom", Counted_Qty: null, Note: "", Status_By: "CD", Status_DT: new Date(Date.UTC(2025, 1, 1, 11)), Status_Expectation: "LOW" },
+  };
+  core.applyWorkflow(rows, saved);
+  assert.equal(rows[3].Status, "Open");
+
+  const { wb } = core.buildResultWorkbook(rows, { profile: core.DEFAULT_MVT_PROFILE });
+  assert.deepEqual(wb.SheetNames, ["GapScan", "Summary", "Ledger", "Accuracy"]);
+  const exported = XLSX.utils.sheet_to_json(wb.Sheets.GapScan, { defval: "" });
+  const { entries, skipped } = core.workflowFromRows(exported);
+  assert.equal(skipped, 0);
+  assert.deepEqual(Object.keys(entries), ["1000|1|0001", "1000|2|0001", "1000|3|0001"]);
+  assert.deepEqual(entries["1000|1|0001"], saved["1000|1|0001"]);
+
+  const later = { ...entries["1000|3|0001"], Status: "Written off", Status_DT: new Date(Date.UTC(2025, 1, 2)) };
+  const older = { ...entries["1000|1|0001"], Status: "Open", Status_DT: new Date(Date.UTC(2025, 0, 1)) };
+  const merged = core.mergeWorkflow(saved, { "1000|3|0001": later, "1000|1|0001": older });
+  assert.deepEqual([merged.added, merged.updated, merged.kept], [0, 1, 1]);
+  assert.equal(merged.entries["1000|1|0001"].Status, "Found");
+
+  const report = core.accuracyReport(Object.values(merged.entries));
+  const high = report.find(l => l.Expectation === "HIGH");
+  assert.deepEqual([high.Settled, high.Found, high.Missing, high.Found_Rate], [2, 1, 1, 0.5]);
+  assert.deepEqual(report.find(l => l.Expectation === "LOW").Missing, 1);
+  assert.throws(() => core.workflowFromRows([{ Material: "1" }]), /No Status column/);
+});
+
+test("a status set in the browser is exported at the local wall-clock time", () => {
+  const tz = process.env.TZ;
+  process.env.TZ = "Asia/Kolkata"; // UTC+5:30, so a real instant would be exported 5.5 hours early
+  try{
+    const setAt = core.wallClock(new Date(2025, 1, 1, 9, 30));
+    assert.equal(core.formatDate(setAt), "2025-02-01 09:30:00");
+    const row = { ...stock("1", 2), Expectation: "HIGH", Status: "Found", Status_By: "AB", Status_DT: setAt };
+    const { wb } = core.buildResultWorkbook([row], { profile: core.DEFAULT_MVT_PROFILE });
+    const [exported] = XLSX.utils.sheet_to_json(wb.Sheets.GapScan, { defval: "" });
+    assert.equal(exported.Status_DT, core.dateToExcelSerial(new Date(Date.UTC(2025, 1, 1, 9, 30))));
+  }finally{
+    if (tz === undefined) delete process.env.TZ; else process.env.TZ = tz;
+  }
+});
+
+test("runPipeline joins the material master, walks aisles in order and resolves scanned EANs with it", async () => {
+  const scans = new File(["EAN;Timestamp\n4006381333948;2025-01-31 09:00:00\n"], "scans.csv", { type: "text/csv" });
+  const files = { mb51: [await fixture("mb51.csv")], mb5b: await fixture("mb5b_flat.csv"), master: await fixture("master.csv"), gapScan: scans };
+  const res = await core.runPipeline(files, { ...SETTINGS, sortBy: "aisle" }, HOOKS);
+  assert.equal(res.masterCount, 3);
+  assert.equal(res.masterMatched, 2);
+
+  assert.deepEqual(res.rows.map(r => [r.Material, r.Department, r.Merch_Category, r.Vendor, r.Aisle_Location]),
+    [["100002", "Kitchen", "Plates", "Acme", "A2-05"], ["100001", "Kitchen", "Mugs", "Acme", "A10-02"]]);
+  assert.deepEqual(core.byLocation(res.rows.slice().reverse()).map(r => r.Aisle_Location), ["A2-05", "A10-02"]);
+  assert.equal(res.rows[0].Gap_Scan_Code, "4006381333948");
+  assert.equal(res.gapScan.unresolved.length, 0);
+  assert.equal(res.dataIssues.find(i => i.id === "noMaster").count, 0);
+});
+
+test("French 'Magasin' columns are storage locations, not plants", () => {
+  const { scans } = core.parseGapScans([["Code barre", "Horodatage", "Division", "Magasin"], ["4006381333948", "2025-01-31 09:00:00", "1000", "1"]], 4);
+  assert.deepEqual([scans[0].plant, scans[0].sloc], ["1000", "0001"]);
+  const master = core.parseMaterialMaster([{ Magasin: "0001", Article: "100001", Rayon: "Kitchen", "Code barre": "4006381333948" }], 0);
+  assert.deepEqual([...master.keys()], ["*|100001"]);
+});
@@ -0,0 +1,35 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+
+const ROOT = path.join(__dirname, "..");
+const read = (name) => fs.readFileSync(path.join(ROOT, name), "utf8");
+
+/** The service worker's precache list, read from sw.js without running it */
+const appFiles = () => {
+  const list = read("sw.js").match(/const APP_FILES = \[([\s\S]*?)\];/)[1];
+  return [...list.matchAll(/"([^"]+)"/g)].map(m => m[1]);
+};
+
+test("version.js and package.json name the same build", () => {
+  const ctx = {};
+  vm.runInNewContext(`${read("version.js")}; this.version = APP_VERSION;`, ctx);
+  assert.equal(ctx.version, JSON.parse(read("package.json")).version);
+});
+
+test("every file the service worker caches exists, and the pages load nothing from other hosts", () => {
+  for (const f of appFiles().filter(f => f !== "./")){
+    assert.ok(fs.existsSync(path.join(ROOT, f)), `${f} is in APP_FILES but missing`);
+  }
+  for (const page of ["index.html", "worker.js", "manifest.webmanifest"]){
+    assert.doesNotMatch(read(page), /https?:\/\//, `${page} loads from the network`);
+  }
+  // whatever the page and the worker load must be cached too
+  const refs = [...read("index.html").matchAll(/(?:src|href)="(\.\/[^"]+)"/g), ...read("worker.js").matchAll(/"(\.\/[^"]+\.js)"/g)];
+  for (const [, ref] of refs) assert.ok(appFiles().includes(ref), `${ref} is not in APP_FILES`);
+  for (const icon of JSON.parse(read("manifest.webmanifest")).icons){
+    assert.ok(appFiles().includes(`./${icon.src}`), `${icon.src} is not in APP_FILES`);
+  }
+});
@@ -0,0 +1,6 @@
+/*
+ * Build version, shown in the header and used to name the service worker's cache.
+ * Bump it (with package.json) on every release: a changed version.js is what makes
+ * installed copies fetch the new build and offer the update.
+ */
+const APP_VERSION = "1.1.0";
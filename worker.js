@@ -0,0 +1,41 @@
+/* global runPipeline */
+/*
+ * Runs an analysis off the main thread so large MB51 exports don't freeze the tab.
+ * Messages in:  { type:"run", files, settings } and { type:"mapping", mapping | error }
+ * Messages out: { type:"progress", text }, { type:"mapping", headers, fileName },
+ *               { type:"done", result } and { type:"error", message }
+ */
+importScripts("./vendor/xlsx.full.min.js", "./core.js");
+
+let pendingMapping = null;
+
+/** Column mapping needs the main thread (saved mappings, dialog), so ask for it */
+function requestMapping(headers, fileName){
+  return new Promise((resolve, reject) => {
+    pendingMapping = { resolve, reject };
+    postMessage({ type:"mapping", headers, fileName });
+  });
+}
+
+self.onmessage = async (e) => {
+  const msg = e.data;
+
+  if (msg.type === "mapping" && pendingMapping){
+    const p = pendingMapping;
+    pendingMapping = null;
+    if (msg.mapping) p.resolve(msg.mapping);
+    else p.reject(new Error(msg.error || "MB51 column mapping cancelled."));
+    return;
+  }
+
+  if (msg.type !== "run") return;
+  try{
+    const result = await runPipeline(msg.files, msg.settings, {
+      progress: (text) => postMessage({ type:"progress", text }),
+      mapping: requestMapping,
+    });
+    postMessage({ type:"done", result });
+  }catch(err){
+    postMessage({ type:"error", message: err.message || String(err) });
+  }
+};